@@ -0,0 +1,52 @@
+import mongoose from 'mongoose'
+
+const { model, Schema } = mongoose
+
+const AnnouncementSchema = new Schema({
+  content: {
+    type: String,
+    required: 'Content cannot be blank.',
+    trim: true,
+  },
+  course: {
+    type: Schema.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  created: {
+    type: Date,
+    default: Date.now,
+  },
+  groups: {
+    teaching: {
+      type: [Number],
+      default: undefined,
+    },
+    working: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  notified: {
+    type: Date,
+  },
+  published: {
+    type: Date,
+    default: Date.now,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: 'Title cannot be blank.',
+    trim: true,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+})
+
+AnnouncementSchema.index({ course: 1, published: -1 })
+
+export default model('Announcement', AnnouncementSchema)
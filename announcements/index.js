@@ -0,0 +1,9 @@
+import Announcement from './announcement.model.js'
+import typeDef from './typeDef.js'
+import resolvers from './resolvers.js'
+
+export default {
+  Announcement,
+  typeDef,
+  resolvers,
+}
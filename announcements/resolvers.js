@@ -0,0 +1,229 @@
+import Bugsnag from '@bugsnag/js'
+import { UserInputError } from 'apollo-server'
+
+import { isTargeted, sendAnnouncement } from '../lib/announcements.js'
+import {
+  hasPermission,
+  isStaffMember,
+  PERMISSION_FIELDS,
+} from '../lib/permissions.js'
+import { cleanArray, cleanObject } from '../lib/utils.js'
+
+// Clean up the optional args related to an announcement.
+function clean(args) {
+  if (args.groups) {
+    cleanArray(args.groups, 'teaching', 'working')
+  }
+  cleanObject(args, 'groups')
+}
+
+// Check whether the groups targeted by an announcement exist in its course.
+function checkGroups(course, groups) {
+  return ['teaching', 'working'].every((type) =>
+    (groups?.[type] ?? []).every(
+      (g) => g >= 0 && g < (course.groups?.[type]?.length ?? 0)
+    )
+  )
+}
+
+// Retrieve a course whose announcements can be managed by the connected user.
+async function getCourse(models, filter, user) {
+  const { Course } = models
+
+  const course = await Course.findOne(
+    filter,
+    `_id groups ${PERMISSION_FIELDS}`
+  ).lean()
+  if (!course || !hasPermission(course, user, 'manage-announcements')) {
+    throw new UserInputError('COURSE_NOT_FOUND')
+  }
+
+  return course
+}
+
+// Notify the learners targeted by an announcement in the background,
+// so that the mutation does not wait for all the emails to be sent.
+function sendInBackground(models, smtpTransport, announcement) {
+  sendAnnouncement(models, smtpTransport, announcement).catch((err) =>
+    Bugsnag.notify(err)
+  )
+}
+
+// Handle errors resulting from the creation or edit of an announcement.
+function handleError(err) {
+  const formErrors = {}
+
+  switch (err.name) {
+    case 'ValidationError':
+      Object.keys(err.errors).forEach(
+        (e) => (formErrors[e] = err.errors[e].properties?.message)
+      )
+      throw new UserInputError('VALIDATION_ERROR', { formErrors })
+  }
+
+  Bugsnag.notify(err)
+}
+
+const resolvers = {
+  Announcement: {
+    async course(announcement, _args, { models }, _info) {
+      const { Course } = models
+
+      return await Course.findOne({ _id: announcement.course }).lean()
+    },
+    // Retrieve the 'id' of this announcement from the MongoDB '_id'.
+    id(announcement, _args, _context, _info) {
+      return announcement._id.toString()
+    },
+    // Retrieve whether the publication date of this announcement is reached.
+    isPublished(announcement, _args, _context, _info) {
+      return announcement.published <= new Date()
+    },
+    async user(announcement, _args, { models }, _info) {
+      const { User } = models
+
+      return await User.findOne({ _id: announcement.user }).lean()
+    },
+  },
+  Course: {
+    // Retrieve the announcements of this course, the most recent first.
+    // Staff members see all of them, including the scheduled ones, while
+    // learners only see the published ones that target them.
+    async announcements(course, args, { models, user }, _info) {
+      const { Announcement, Registration } = models
+
+      // Set up offset and limit.
+      const skip = Math.max(0, args.offset ?? 0)
+      const limit = args.limit ?? undefined
+
+      if (isStaffMember(course, user)) {
+        return await Announcement.find({ course: course._id }, null, {
+          limit,
+          skip,
+          sort: { published: -1 },
+        }).lean()
+      }
+
+      const registration = await Registration.findOne(
+        { course: course._id, invitation: { $exists: false }, user: user.id },
+        'group'
+      ).lean()
+      if (!registration) {
+        return null
+      }
+
+      const announcements = await Announcement.find(
+        { course: course._id, published: { $lte: new Date() } },
+        null,
+        { sort: { published: -1 } }
+      ).lean()
+
+      return announcements
+        .filter((a) => isTargeted(a, registration))
+        .slice(skip, limit ? skip + limit : undefined)
+    },
+  },
+  Mutation: {
+    // Create a new announcement for a course, starting to notify the targeted
+    // learners right away unless its publication is scheduled later.
+    async createAnnouncement(
+      _parent,
+      args,
+      { models, smtpTransport, user },
+      _info
+    ) {
+      const { Announcement } = models
+
+      // Clean up the optional args.
+      clean(args)
+
+      const course = await getCourse(models, { code: args.courseCode }, user)
+      if (!checkGroups(course, args.groups)) {
+        throw new UserInputError('INVALID_GROUPS')
+      }
+
+      const announcement = new Announcement({
+        content: args.content,
+        course: course._id,
+        groups: args.groups,
+        published: args.published ? new Date(args.published) : undefined,
+        title: args.title,
+        user: user.id,
+      })
+
+      try {
+        await announcement.save()
+        sendInBackground(models, smtpTransport, announcement)
+        return announcement
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Delete one given announcement.
+    async deleteAnnouncement(_parent, args, { models, user }, _info) {
+      const { Announcement } = models
+
+      const announcement = await Announcement.findOne({ _id: args.id })
+      if (!announcement) {
+        throw new UserInputError('ANNOUNCEMENT_NOT_FOUND')
+      }
+      await getCourse(models, { _id: announcement.course }, user)
+
+      try {
+        await announcement.delete()
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+    // Edit one given announcement, whose publication date
+    // can only be changed as long as it has not been published.
+    async editAnnouncement(
+      _parent,
+      args,
+      { models, smtpTransport, user },
+      _info
+    ) {
+      const { Announcement } = models
+
+      // Clean up the optional args.
+      clean(args)
+
+      const announcement = await Announcement.findOne({ _id: args.id })
+      if (!announcement) {
+        throw new UserInputError('ANNOUNCEMENT_NOT_FOUND')
+      }
+
+      const course = await getCourse(models, { _id: announcement.course }, user)
+      if (!checkGroups(course, args.groups)) {
+        throw new UserInputError('INVALID_GROUPS')
+      }
+      if (args.published && announcement.notified) {
+        throw new UserInputError('ANNOUNCEMENT_ALREADY_PUBLISHED')
+      }
+
+      announcement.content = args.content
+      announcement.groups = args.groups
+      announcement.title = args.title
+      if (args.published) {
+        announcement.published = new Date(args.published)
+      }
+
+      try {
+        await announcement.save()
+        sendInBackground(models, smtpTransport, announcement)
+        return announcement
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+  },
+}
+
+export default resolvers
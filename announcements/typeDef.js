@@ -0,0 +1,49 @@
+import { gql } from 'apollo-server'
+
+const typeDefs = gql`
+  type Announcement {
+    content: String!
+    course: Course
+    created: DateTime!
+    groups: AnnouncementGroups @auth(requires: TEACHER)
+    id: ID!
+    isPublished: Boolean!
+    published: DateTime!
+    title: String!
+    user: User
+  }
+
+  type AnnouncementGroups {
+    teaching: [Int!]
+    working: [Int!]
+  }
+
+  input AnnouncementGroupsInput {
+    teaching: [Int!]
+    working: [Int!]
+  }
+
+  extend type Course {
+    announcements(limit: Int, offset: Int): [Announcement!] @auth
+  }
+
+  extend type Mutation {
+    createAnnouncement(
+      content: String!
+      courseCode: ID!
+      groups: AnnouncementGroupsInput
+      published: DateTime
+      title: String!
+    ): Announcement @auth(requires: TEACHER)
+    deleteAnnouncement(id: ID!): Boolean @auth(requires: TEACHER)
+    editAnnouncement(
+      content: String!
+      groups: AnnouncementGroupsInput
+      id: ID!
+      published: DateTime
+      title: String!
+    ): Announcement @auth(requires: TEACHER)
+  }
+`
+
+export default typeDefs
@@ -3,7 +3,7 @@ import { AuthenticationError, UserInputError } from 'apollo-server'
 import { DateTime } from 'luxon'
 
 import { canRequestEvaluation, canTakeEvaluation } from '../lib/assessments.js'
-import { isCoordinator, isTeacher } from '../lib/courses.js'
+import { hasPermission, PERMISSION_FIELDS } from '../lib/permissions.js'
 import { hasRole } from '../lib/users.js'
 import {
   cleanArray,
@@ -251,19 +251,20 @@ const resolvers = {
         filter.user = user.id
       }
 
-      // Check whether the user is the coordinator or a teacher of the course.
+      // Check whether the user is a staff member of the course
+      // who is permitted to view its assessments.
       else {
         const course = await Assessment.populate(assessment, [
           {
             path: 'course',
-            select: '_id coordinator teachers',
+            select: `_id ${PERMISSION_FIELDS}`,
             model: 'Course',
           },
         ]).then((a) => a.course)
 
         if (
           hasRole(user, 'teacher') &&
-          (isCoordinator(course, user) || isTeacher(course, user)) &&
+          hasPermission(course, user, 'view-assessments') &&
           args.learner
         ) {
           const learner = await User.exists({ username: args.learner })
@@ -483,7 +484,7 @@ const resolvers = {
       if (args.courseCode) {
         const course = await Course.findOne(
           { code: args.courseCode },
-          '_id coordinator teachers'
+          `_id ${PERMISSION_FIELDS}`
         ).lean()
         if (!course) {
           throw new UserInputError('COURSE_NOT_FOUND')
@@ -499,7 +500,7 @@ const resolvers = {
         if (
           !(
             (hasRole(user, 'teacher') &&
-              (isCoordinator(course, user) || isTeacher(course, user))) ||
+              hasPermission(course, user, 'view-assessments')) ||
             (hasRole(user, 'student') && isRegistered)
           )
         ) {
@@ -556,13 +557,13 @@ const resolvers = {
           throw new UserInputError('ASSESSMENT_NOT_FOUND')
         }
 
-        // Only possible if the connected user
-        // is either the coordinator or a teacher or is registered
+        // Only possible if the connected user is either a staff member
+        // permitted to view the assessments or is registered
         // to the course associated to the assessment.
         const course = await Assessment.populate(assessment, [
           {
             path: 'course',
-            select: '_id coordinator teachers',
+            select: `_id ${PERMISSION_FIELDS}`,
             model: 'Course',
           },
         ]).then((a) => a.course)
@@ -573,11 +574,7 @@ const resolvers = {
           user: user.id,
         })
         if (
-          !(
-            isCoordinator(course, user) ||
-            isTeacher(course, user) ||
-            isRegistered
-          )
+          !(hasPermission(course, user, 'view-assessments') || isRegistered)
         ) {
           throw new AuthenticationError('NOT_AUTHORISED')
         }
@@ -585,9 +582,8 @@ const resolvers = {
         filter.assessment = assessment._id
 
         // Filter by learner, only possible if the connected user
-        // is either the coordinator or a teacher
-        // of the course associated to the assessment.
-        if (isCoordinator(course, user) || isTeacher(course, user)) {
+        // is a staff member of the course associated to the assessment.
+        if (hasPermission(course, user, 'view-assessments')) {
           if (args.learner) {
             const learner = await User.findOne(
               {
@@ -632,7 +628,7 @@ const resolvers = {
       // Retrieve the course competencies.
       const course = await Course.findOne(
         { _id: assessment.course },
-        'competencies coordinator teachers'
+        `competencies ${PERMISSION_FIELDS}`
       )
         .lean()
         .populate({
@@ -640,10 +636,7 @@ const resolvers = {
           select: 'code learningOutcomes',
           model: 'Competency',
         })
-      if (
-        !course ||
-        !(isCoordinator(course, user) || isTeacher(course, user))
-      ) {
+      if (!course || !hasPermission(course, user, 'view-assessments')) {
         throw new UserInputError('COURSE_NOT_FOUND')
       }
 
@@ -711,7 +704,7 @@ const resolvers = {
       // Retrieve the course for which to create an assessment.
       const course = await Course.findOne(
         { code: args.course },
-        'competencies coordinator'
+        `competencies ${PERMISSION_FIELDS}`
       )
         .lean()
         .populate({
@@ -719,7 +712,7 @@ const resolvers = {
           select: 'code useLearningOutcomes',
           model: 'Competency',
         })
-      if (!course || !isCoordinator(course, user)) {
+      if (!course || !hasPermission(course, user, 'manage-assessments')) {
         throw new UserInputError('COURSE_NOT_FOUND')
       }
 
@@ -864,10 +857,13 @@ const resolvers = {
       // Retrieve the assessment to delete.
       const assessment = await Assessment.findOne({ _id: args.id }).populate({
         path: 'course',
-        select: 'coordinator',
+        select: PERMISSION_FIELDS,
         model: 'Course',
       })
-      if (!assessment || !isCoordinator(assessment.course, user)) {
+      if (
+        !assessment ||
+        !hasPermission(assessment.course, user, 'manage-assessments')
+      ) {
         throw new UserInputError('ASSESSMENT_NOT_FOUND')
       }
 
@@ -920,10 +916,13 @@ const resolvers = {
       // Retrieve the assessment to edit.
       const assessment = await Assessment.findOne({ _id: args.id }).populate({
         path: 'course',
-        select: '_id competencies coordinator',
+        select: `_id competencies ${PERMISSION_FIELDS}`,
         model: 'Course',
       })
-      if (!assessment || !isCoordinator(assessment.course, user)) {
+      if (
+        !assessment ||
+        !hasPermission(assessment.course, user, 'manage-assessments')
+      ) {
         throw new UserInputError('ASSESSMENT_NOT_FOUND')
       }
 
@@ -1008,10 +1007,12 @@ const resolvers = {
         {
           model: 'Course',
           path: 'course',
-          select: 'coordinator',
+          select: PERMISSION_FIELDS,
         },
       ]).then((a) => a.course)
-      if (!isCoordinator(instance.assessment.course, user)) {
+      if (
+        !hasPermission(instance.assessment.course, user, 'manage-assessments')
+      ) {
         throw new UserInputError('ASSESSMENT_NOT_FOUND')
       }
 
@@ -1034,10 +1035,13 @@ const resolvers = {
       // Retrieve the assessment to update.
       const assessment = await Assessment.findOne({ _id: args.id }).populate({
         path: 'course',
-        select: 'coordinator',
+        select: PERMISSION_FIELDS,
         model: 'Course',
       })
-      if (!assessment || !isCoordinator(assessment.course, user)) {
+      if (
+        !assessment ||
+        !hasPermission(assessment.course, user, 'manage-assessments')
+      ) {
         throw new UserInputError('ASSESSMENT_NOT_FOUND')
       }
 
@@ -1107,10 +1111,13 @@ const resolvers = {
       // Retrieve the assessment to update.
       const assessment = await Assessment.findOne({ _id: args.id }).populate({
         path: 'course',
-        select: 'coordinator',
+        select: PERMISSION_FIELDS,
         model: 'Course',
       })
-      if (!assessment || !isCoordinator(assessment.course, user)) {
+      if (
+        !assessment ||
+        !hasPermission(assessment.course, user, 'manage-assessments')
+      ) {
         throw new UserInputError('ASSESSMENT_NOT_FOUND')
       }
 
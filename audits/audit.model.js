@@ -0,0 +1,36 @@
+import mongoose from 'mongoose'
+
+const { model, Schema } = mongoose
+
+const AuditSchema = new Schema({
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+  fields: {
+    type: [String],
+    default: undefined,
+  },
+  impersonator: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  operation: {
+    type: String,
+    trim: true,
+  },
+  success: {
+    type: Boolean,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  variables: {
+    type: Object,
+  },
+})
+
+export default model('Audit', AuditSchema)
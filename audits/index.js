@@ -0,0 +1,9 @@
+import Audit from './audit.model.js'
+import typeDef from './typeDef.js'
+import resolvers from './resolvers.js'
+
+export default {
+  Audit,
+  typeDef,
+  resolvers,
+}
@@ -0,0 +1,85 @@
+import Bugsnag from '@bugsnag/js'
+import { UserInputError } from 'apollo-server'
+import jwt from 'jsonwebtoken'
+
+import { logAudit } from '../lib/audits.js'
+
+const resolvers = {
+  Audit: {
+    // Retrieve the 'id' of this audit entry from the MongoDB '_id'.
+    id(audit, _args, _context, _info) {
+      return audit._id.toString()
+    },
+  },
+  Query: {
+    // Retrieve the actions made while impersonating users,
+    // possibly only those involving a given user.
+    async audits(_parent, args, { models }, _info) {
+      const { Audit, User } = models
+
+      const filter = {}
+      if (args.username) {
+        const user = await User.exists({ username: args.username })
+        if (!user) {
+          throw new UserInputError('USER_NOT_FOUND')
+        }
+        filter.$or = [{ impersonator: user._id }, { user: user._id }]
+      }
+
+      // Set up offset and limit.
+      const skip = Math.max(0, args.offset ?? 0)
+      const limit = args.limit ?? undefined
+
+      return await Audit.find(filter, null, { limit, skip, sort: { date: -1 } })
+        .populate('impersonator')
+        .populate('user')
+        .lean()
+    },
+  },
+  Mutation: {
+    // Start impersonating a user, as an admin, with an access token
+    // that carries the identities of both the admin and the user.
+    async impersonateUser(_parent, args, { env, models, user }, _info) {
+      const { User } = models
+
+      // Admins can only be impersonated by themselves.
+      const target = await User.findOne(
+        { username: args.username },
+        '_id deactivated roles'
+      )
+      if (!target) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+      if (
+        target.deactivated ||
+        target.roles.includes('admin') ||
+        target._id.toString() === user.id
+      ) {
+        throw new UserInputError('IMPERSONATION_FAILED')
+      }
+
+      try {
+        await logAudit(models, {
+          fields: ['impersonateUser'],
+          impersonator: user.id,
+          operation: 'impersonateUser',
+          success: true,
+          user: target._id,
+        })
+
+        const token = jwt.sign(
+          { id: target._id, impersonator: user.id, roles: target.roles },
+          env.JWT_ACCESS_TOKEN_SECRET,
+          { expiresIn: '30m' }
+        )
+        return { token }
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+  },
+}
+
+export default resolvers
@@ -0,0 +1,25 @@
+import { gql } from 'apollo-server'
+
+const typeDefs = gql`
+  type Audit {
+    date: DateTime!
+    fields: [String!]
+    id: ID!
+    impersonator: User!
+    operation: String
+    success: Boolean
+    user: User!
+    variables: JSONObject
+  }
+
+  extend type Query {
+    audits(offset: Int, limit: Int, username: ID): [Audit!]!
+      @auth(requires: ADMIN)
+  }
+
+  extend type Mutation {
+    impersonateUser(username: ID!): SignInResponse @auth(requires: ADMIN)
+  }
+`
+
+export default typeDefs
@@ -91,4 +91,14 @@ CompetencySchema.pre('validate', function (next) {
   next()
 })
 
+// Index the texts for the catalog search, without stemming.
+CompetencySchema.index(
+  { code: 'text', description: 'text', name: 'text', tags: 'text' },
+  {
+    default_language: 'none',
+    name: 'search',
+    weights: { code: 10, name: 5, tags: 3 },
+  }
+)
+
 export default model('Competency', CompetencySchema)
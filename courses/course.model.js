@@ -1,6 +1,8 @@
 import { DateTime } from 'luxon'
 import mongoose from 'mongoose'
 import { getBannerPathCleaner, getPathCompleter } from '../lib/models.js'
+import { STATUSES } from '../lib/lifecycle.js'
+import { ACTIONS } from '../lib/permissions.js'
 
 const { Schema } = mongoose
 
@@ -28,6 +30,28 @@ const CompetencySchema = new Schema(
   }
 )
 
+const PrerequisiteSchema = new Schema(
+  {
+    competency: {
+      type: Schema.ObjectId,
+      ref: 'Competency',
+    },
+    course: {
+      type: Schema.ObjectId,
+      ref: 'Course',
+    },
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+  },
+  {
+    id: false,
+    _id: false,
+  }
+)
+
 const ProgressStepSchema = new Schema(
   {
     date: {
@@ -82,6 +106,25 @@ const ScheduleSchema = new Schema(
   }
 )
 
+const StaffMemberSchema = new Schema(
+  {
+    role: {
+      type: String,
+      enum: ['assistant', 'grader', 'observer'],
+      required: true,
+    },
+    user: {
+      type: Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    id: false,
+    _id: false,
+  }
+)
+
 const TeachingGroupSchema = new Schema(
   {
     name: {
@@ -100,6 +143,52 @@ const TeachingGroupSchema = new Schema(
   }
 )
 
+const TransitionSchema = new Schema(
+  {
+    date: {
+      type: Date,
+      required: true,
+    },
+    from: {
+      type: String,
+      enum: STATUSES,
+      required: true,
+    },
+    to: {
+      type: String,
+      enum: STATUSES,
+      required: true,
+    },
+    user: {
+      type: Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    id: false,
+    _id: false,
+  }
+)
+
+const WaiverSchema = new Schema(
+  {
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    user: {
+      type: Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    id: false,
+    _id: false,
+  }
+)
+
 const WorkingGroupSchema = new Schema(
   {
     name: {
@@ -128,6 +217,9 @@ const CourseSchema = new Schema(
       type: Schema.ObjectId,
       ref: 'Course',
     },
+    closed: {
+      type: Date,
+    },
     code: {
       type: String,
       trim: true,
@@ -210,6 +302,48 @@ const CourseSchema = new Schema(
       ],
       default: undefined,
     },
+    permissions: {
+      assistant: {
+        type: [
+          {
+            type: String,
+            enum: ACTIONS,
+          },
+        ],
+        default: undefined,
+      },
+      grader: {
+        type: [
+          {
+            type: String,
+            enum: ACTIONS,
+          },
+        ],
+        default: undefined,
+      },
+      observer: {
+        type: [
+          {
+            type: String,
+            enum: ACTIONS,
+          },
+        ],
+        default: undefined,
+      },
+      teacher: {
+        type: [
+          {
+            type: String,
+            enum: ACTIONS,
+          },
+        ],
+        default: undefined,
+      },
+    },
+    prerequisites: {
+      type: [PrerequisiteSchema],
+      default: undefined,
+    },
     progressGuide: {
       type: [ProgressStepSchema],
       default: undefined,
@@ -225,6 +359,13 @@ const CourseSchema = new Schema(
       type: Number,
       min: 1,
     },
+    staff: {
+      type: [StaffMemberSchema],
+      default: undefined,
+    },
+    started: {
+      type: Date,
+    },
     tags: {
       type: [
         {
@@ -243,6 +384,10 @@ const CourseSchema = new Schema(
       ],
       default: undefined,
     },
+    transitions: {
+      type: [TransitionSchema],
+      default: undefined,
+    },
     type: {
       type: String,
       enum: ['project', 'training', 'ucourse', 'unit'],
@@ -258,6 +403,10 @@ const CourseSchema = new Schema(
       enum: ['public', 'invite-only', 'private'],
       default: 'public',
     },
+    waivers: {
+      type: [WaiverSchema],
+      default: undefined,
+    },
   },
   { usePushEach: true }
 )
@@ -438,6 +587,37 @@ CourseSchema.pre('validate', function (next) {
     checkSchedule(this)
   }
 
+  // Prerequisites must be either a course, other than this one,
+  // with the basic progress to reach, or a competency.
+  if (
+    this.prerequisites?.some(
+      (p) =>
+        !p.course === !p.competency ||
+        (p.course &&
+          (typeof p.progress !== 'number' || p.course.equals(this._id)))
+    )
+  ) {
+    this.invalidate('prerequisites', 'INVALID_PREREQUISITES')
+  }
+
+  // Staff members must be all different,
+  // and cannot be the coordinator or one of the teachers.
+  if (this.staff?.length) {
+    const members = new Set(
+      [this.coordinator, ...(this.teachers ?? [])].map((u) =>
+        (u._id || u).toString()
+      )
+    )
+    if (
+      this.staff.some(
+        (m) =>
+          members.size === members.add((m.user._id || m.user).toString()).size
+      )
+    ) {
+      this.invalidate('staff', 'DUPLICATE_STAFF_MEMBERS')
+    }
+  }
+
   // Teaching group names must be all different.
   if (this.groups?.teaching?.length) {
     const groups = new Set()
@@ -453,6 +633,24 @@ CourseSchema.pre('validate', function (next) {
   next()
 })
 
+// Index the texts for the catalog search, without stemming since the
+// 'language' field is free text and cannot drive the text index.
+CourseSchema.index(
+  {
+    code: 'text',
+    description: 'text',
+    field: 'text',
+    name: 'text',
+    tags: 'text',
+  },
+  {
+    default_language: 'none',
+    language_override: 'textLanguage',
+    name: 'search',
+    weights: { code: 10, name: 5, tags: 3 },
+  }
+)
+
 // Generate full path for the banner.
 CourseSchema.post(['aggregate', 'find', 'findOne'], getPathCompleter('courses'))
 CourseSchema.pre('save', getBannerPathCleaner)
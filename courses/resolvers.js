@@ -1,8 +1,27 @@
 import { UserInputError } from 'apollo-server'
 import { DateTime } from 'luxon'
-import mongoose from 'mongoose'
 
-import { isCoordinator } from '../lib/courses.js'
+import {
+  exportCourseBundle,
+  importCourseBundle,
+  parseCourseBundle,
+} from '../lib/bundles.js'
+import {
+  duplicateCourse,
+  getVisibleCoursesPipeline,
+  isCoordinator,
+  isTeacher,
+} from '../lib/courses.js'
+import { compareCourses, getEditions } from '../lib/editions.js'
+import { applyTransition, getCourseStatus } from '../lib/lifecycle.js'
+import {
+  getPermissions,
+  getRolePermissions,
+  getStaffRole,
+  STAFF_ROLES,
+} from '../lib/permissions.js'
+import { getUnmetPrerequisites } from '../lib/prerequisites.js'
+import { generateSyllabus } from '../lib/syllabus.js'
 import {
   cleanArray,
   cleanField,
@@ -54,18 +73,133 @@ function handleError(err) {
   }
 }
 
+// Apply a lifecycle transition to a course, which can only be done
+// by its coordinator, possibly updating it further before saving it.
+async function changeStatus(models, args, user, transition, error, update) {
+  const { Course } = models
+
+  const course = await Course.findOne({ code: args.code })
+  if (!course) {
+    throw new UserInputError('COURSE_NOT_FOUND')
+  }
+  if (!isCoordinator(course, user)) {
+    throw new UserInputError(error)
+  }
+
+  const reason = await applyTransition(models, course, user, transition)
+  if (reason) {
+    throw new UserInputError(error, { reason })
+  }
+
+  if (update) {
+    update(course)
+  }
+
+  // Save the course into the database.
+  try {
+    return await course.save()
+  } catch (err) {
+    handleError(err)
+  }
+
+  return null
+}
+
+// Retrieve a user to add to the staff of a course. Staff members must
+// have the teacher role, which grants access to the operations that their
+// permissions then restrict per course, and can neither be already
+// a staff member of the course nor be registered to it as a learner.
+async function getNewStaffMember(models, course, username) {
+  const { Registration, User } = models
+
+  const member = await User.findOne({ username }, '_id roles').lean()
+  if (!member) {
+    throw new UserInputError('USER_NOT_FOUND')
+  }
+  if (!member.roles.includes('teacher')) {
+    throw new UserInputError('STAFF_MEMBER_NOT_TEACHER')
+  }
+  if (
+    getStaffRole(course, { id: member._id.toString() }) ||
+    (await Registration.exists({ course: course._id, user: member._id }))
+  ) {
+    throw new UserInputError('STAFF_MEMBER_ADDITION_FAILED')
+  }
+
+  return member
+}
+
+// Replace the teachers of a course with the users having the given usernames,
+// checked as any other new staff member.
+async function setTeachers(models, course, usernames) {
+  course.teachers = undefined
+  for (const username of usernames ?? []) {
+    const teacher = await getNewStaffMember(models, course, username)
+    course.teachers = [...(course.teachers ?? []), teacher._id]
+  }
+}
+
+// Retrieve the course or competency a prerequisite refers to.
+const prerequisiteResolvers = {
+  async competency(prerequisite, _args, { models }, _info) {
+    const { Competency } = models
+
+    if (!prerequisite.competency) {
+      return null
+    }
+    return await Competency.findOne({ _id: prerequisite.competency }).lean()
+  },
+  async course(prerequisite, _args, { models }, _info) {
+    const { Course } = models
+
+    if (!prerequisite.course) {
+      return null
+    }
+    return await Course.findOne({ _id: prerequisite.course }).lean()
+  },
+}
+
 const resolvers = {
+  ChecklistVisibility: {
+    PRIVATE: 'private',
+    PUBLIC: 'public',
+  },
+  ComparisonStatus: {
+    ADDED: 'added',
+    CHANGED: 'changed',
+    REMOVED: 'removed',
+    UNCHANGED: 'unchanged',
+  },
   CompetencyCategory: {
     ADVANCED: 'advanced',
     BASIC: 'basic',
   },
+  CourseImportConflictType: {
+    BANNER: 'banner',
+    COMPETENCY: 'competency',
+    COURSE: 'course',
+    PARTNER: 'partner',
+    SUPERVISOR: 'supervisor',
+    TEACHER: 'teacher',
+  },
   CourseLoadType: {
     WEEKLY: 'weekly',
     THEO_PRAC: 'theo+prac',
   },
+  CoursePermission: {
+    EVALUATE: 'evaluate',
+    MANAGE_ANNOUNCEMENTS: 'manage-announcements',
+    MANAGE_ASSESSMENTS: 'manage-assessments',
+    MANAGE_REGISTRATIONS: 'manage-registrations',
+    PUBLISH_EVALUATIONS: 'publish-evaluations',
+    VIEW_ASSESSMENTS: 'view-assessments',
+    VIEW_REGISTRATIONS: 'view-registrations',
+  },
   CourseStatus: {
     ARCHIVED: 'archived',
+    CLOSED: 'closed',
     PUBLISHED: 'published',
+    RUNNING: 'running',
     UNPUBLISHED: 'unpublished',
   },
   CourseType: {
@@ -80,6 +214,17 @@ const resolvers = {
     TEACHER: 'teacher',
     USER: 'user',
   },
+  StaffRole: {
+    ASSISTANT: 'assistant',
+    COORDINATOR: 'coordinator',
+    GRADER: 'grader',
+    OBSERVER: 'observer',
+    TEACHER: 'teacher',
+  },
+  SyllabusFormat: {
+    HTML: 'html',
+    PDF: 'pdf',
+  },
   Visibility: {
     INVITE_ONLY: 'invite-only',
     PRIVATE: 'private',
@@ -96,6 +241,10 @@ const resolvers = {
 
       return await User.findOne({ _id: course.coordinator })
     },
+    // Retrieve the other editions of this course, following its clone lineage.
+    async editions(course, _args, { models, user }, _info) {
+      return await getEditions(models, course, user)
+    },
     hasAdvancedCompetencies(course, _args, _context, _info) {
       return course.competencies.some((c) => c.category === 'advanced')
     },
@@ -155,11 +304,32 @@ const resolvers = {
     isTeacher(course, _args, { user }, _info) {
       return !!course.teachers?.some((t) => (t._id || t).toString() === user.id)
     },
+    // Retrieve the actions that the connected user can perform on this course.
+    myPermissions(course, _args, { user }, _info) {
+      return getPermissions(course, user)
+    },
     async partners(course, _args, { models }, _info) {
       const { Partner } = models
 
       return await Partner.find({ _id: { $in: course.partners } })
     },
+    // Retrieve the actions permitted to each staff role of this course.
+    permissions(course, _args, _context, _info) {
+      return STAFF_ROLES.map((role) => ({
+        permissions: getRolePermissions(course, role),
+        role,
+      }))
+    },
+    // Retrieve the steps of the progress guide of this course, by date.
+    progressGuide(course, _args, _context, _info) {
+      return [...(course.progressGuide ?? [])]
+        .sort((a, b) => a.date - b.date)
+        .map((step) => ({
+          advanced: step.progress.advanced,
+          basic: step.progress.basic,
+          date: step.date,
+        }))
+    },
     async registration(course, _args, { models, user }, _info) {
       const { Registration } = models
 
@@ -174,18 +344,27 @@ const resolvers = {
 
       return registrations.map((r) => ({ ...r, datetime: r.date, id: r._id }))
     },
-    status(course, _args, _content, _info) {
-      if (!course.published) {
-        return 'unpublished'
-      }
-      if (!course.archived) {
-        return 'published'
-      }
-      if (course.archived) {
-        return 'archived'
-      }
+    // Retrieve all the staff members of this course, with their role,
+    // starting with the coordinator and the teachers.
+    async staff(course, _args, { models }, _info) {
+      const { User } = models
 
-      return null
+      const members = [
+        { role: 'coordinator', user: course.coordinator },
+        ...(course.teachers ?? []).map((t) => ({ role: 'teacher', user: t })),
+        ...(course.staff ?? []),
+      ]
+
+      return await Promise.all(
+        members.map(async ({ role, user }) => ({
+          permissions: getRolePermissions(course, role),
+          role,
+          user: await User.findOne({ _id: user._id || user }),
+        }))
+      )
+    },
+    status(course, _args, _content, _info) {
+      return getCourseStatus(course)
     },
     // Retrieve the teachers of this course.
     async teachers(course, _args, { models }, _info) {
@@ -222,6 +401,11 @@ const resolvers = {
 
       return team
     },
+    // Retrieve the prerequisites of this course
+    // that the connected user does not meet.
+    async unmetPrerequisites(course, _args, { models, user }, _info) {
+      return await getUnmetPrerequisites(models, course, user.id)
+    },
     // workingGroups(course, _args, _context, _info) {
     //   return course.groups?.working
     // },
@@ -243,118 +427,54 @@ const resolvers = {
       )
     },
   },
-  Query: {
-    async courses(_parent, args, { models, user }, _info) {
-      const { Course } = models
-
-      const pipeline = []
-
-      // Basically, can only retrieve courses that are:
-      // with the 'public' or invite-only' visibilities,
-      // and with the 'published' status.
-      const filter = {
-        $or: [
-          {
-            $and: [
-              { published: { $exists: true } },
-              { archived: { $exists: false } },
-              {
-                $or: [{ visibility: 'public' }, { visibility: 'invite-only' }],
-              },
-            ],
-          },
-        ],
-      }
-
-      // If a user is connected,
-      // adjust the filter according to his/her roles.
-      if (user && args.view !== 'user') {
-        const { roles } = user
-        const userId = new mongoose.Types.ObjectId(user.id)
-
-        // Teachers can also access their own courses
-        // no matter their status or visibility.
-        if (roles.includes('teacher')) {
-          filter.$or.push({ coordinator: userId }, { teachers: userId })
-        }
-
-        // Students can also access the courses they are registered to
-        // no matter their status or visibility.
-        if (roles.includes('student')) {
-          pipeline.push(
-            {
-              $lookup: {
-                from: 'registrations',
-                localField: '_id',
-                foreignField: 'course',
-                as: 'registrations',
-              },
-            },
-            {
-              $addFields: {
-                isRegistered: {
-                  $anyElementTrue: {
-                    $map: {
-                      input: '$registrations',
-                      as: 'registration',
-                      in: {
-                        $and: [
-                          { $eq: ['$$registration.user', userId] },
-                          {
-                            $eq: [
-                              { $type: '$$registration.invitation' },
-                              'missing',
-                            ],
-                          },
-                        ],
-                      },
-                    },
-                  },
-                },
-              },
-            }
-          )
+  CoursePrerequisite: prerequisiteResolvers,
+  CourseTransition: {
+    async user(transition, _args, { models }, _info) {
+      const { User } = models
 
-          filter.$or.push({ isRegistered: true })
-        }
+      return await User.findOne({ _id: transition.user })
+    },
+  },
+  PrerequisiteWaiver: {
+    async user(waiver, _args, { models }, _info) {
+      const { User } = models
 
-        // Admin can access to all the courses.
-        if (roles.includes('admin')) {
-          delete filter.$or
-        }
+      return await User.findOne({ _id: waiver.user })
+    },
+  },
+  UnmetPrerequisite: prerequisiteResolvers,
+  Query: {
+    // Compare two courses, typically two editions of the same course.
+    async compareCourses(_parent, args, { models, user }, _info) {
+      const { Course } = models
 
-        // If the view argument is defined,
-        // adjust the filter according to it.
-        const { view } = args
-        if (view) {
-          switch (view) {
-            case 'coordinator':
-              filter.$or = [{ coordinator: userId }]
-              break
-
-            case 'student':
-              filter.$or = [{ isRegistered: true }]
-              break
-
-            case 'teacher':
-              filter.$or = [
-                {
-                  $and: [
-                    { published: { $exists: true } },
-                    { $or: [{ coordinator: userId }, { teachers: userId }] },
-                  ],
-                },
-              ]
-              break
-          }
-        }
+      const courses = await Promise.all(
+        [args.codeA, args.codeB].map(
+          async (code) =>
+            await Course.findOne({ code })
+              .populate({
+                path: 'competencies.competency',
+                select: 'code',
+                model: 'Competency',
+              })
+              .lean()
+        )
+      )
+      if (
+        courses.some(
+          (course) =>
+            !course || !(isCoordinator(course, user) || isTeacher(course, user))
+        )
+      ) {
+        throw new UserInputError('COURSE_NOT_FOUND')
       }
 
-      // Only set the defined filter when no user is connected,
-      // or if the connected one has not the admin role.
-      if (!user || !user.roles.includes('admin')) {
-        pipeline.push({ $match: filter })
-      }
+      return await compareCourses(models, ...courses)
+    },
+    async courses(_parent, args, { models, user }, _info) {
+      const { Course } = models
+
+      const pipeline = getVisibleCoursesPipeline(user, args.view)
 
       // Set up offset and limit.
       pipeline.push({ $skip: Math.max(0, args.offset ?? 0) })
@@ -417,64 +537,105 @@ const resolvers = {
 
       return course
     },
-  },
-  Mutation: {
-    async archiveCourse(_parent, args, { models, user }, _info) {
+    // Generate the syllabus of a course, as a PDF or HTML document,
+    // for anyone who can access the course.
+    async courseSyllabus(_parent, args, { models, user }, _info) {
       const { Course } = models
 
-      // Clean up the optional args.
-      if (args.archiveCode?.trim().length === 0) {
-        args.archiveCode = undefined
-      }
-
-      const course = await Course.findOne({ code: args.code })
-      if (!course) {
+      const course = await Course.findOne({ code: args.code }).lean()
+      if (
+        !course ||
+        (!user &&
+          (!course.published ||
+            course.archived ||
+            course.visibility === 'private'))
+      ) {
         throw new UserInputError('COURSE_NOT_FOUND')
       }
 
-      // Can only archive a course that is published.
+      return await generateSyllabus(models, course, args.format ?? 'pdf')
+    },
+    // Export a course as a portable bundle that can be imported elsewhere.
+    async exportCourse(_parent, args, { models, user }, _info) {
+      const { Course } = models
+
+      const course = await Course.findOne({ code: args.code }).lean()
       if (
-        !course.published ||
-        course.archived ||
-        !isCoordinator(course, user)
+        !course ||
+        !(isCoordinator(course, user) || isTeacher(course, user))
       ) {
-        throw new UserInputError('COURSE_ARCHIVING_FAILED')
+        throw new UserInputError('COURSE_NOT_FOUND')
       }
 
-      // TODO: Can only archive a course with respect to its schedule.
+      // Generate the JSON bundle file.
+      const bundle = await exportCourseBundle(models, course)
+      const content = JSON.stringify(bundle, null, 2)
 
-      // Archive the course
-      const archiveDate = DateTime.now()
-      if (!args.archiveCode) {
-        args.archiveCode = `${course.code}_${archiveDate.toFormat(
-          'yyyy-MM-dd_HH-mm'
-        )}_archived`
+      return {
+        content: Buffer.from(content).toString('base64'),
+        filename: `tlca-course_${course.code}.json`,
+        format: 'application/json',
+      }
+    },
+  },
+  Mutation: {
+    // Add a user to the staff of a course, with a given role.
+    async addStaffMember(_parent, args, { models, user }, _info) {
+      const { Course } = models
+
+      const course = await Course.findOne({ code: args.courseCode })
+      if (!course || getStaffRole(course, user) !== 'coordinator') {
+        throw new UserInputError('COURSE_NOT_FOUND')
+      }
+      if (args.role === 'coordinator') {
+        throw new UserInputError('INVALID_STAFF_ROLE')
+      }
+
+      const member = await getNewStaffMember(models, course, args.username)
+
+      if (args.role === 'teacher') {
+        course.teachers = [...(course.teachers ?? []), member._id]
+      } else {
+        course.staff = [
+          ...(course.staff ?? []),
+          { role: args.role, user: member._id },
+        ]
       }
-      course.archived = archiveDate.toISO()
-      course.code = args.archiveCode
 
-      // Save the course into the database.
       try {
         return await course.save()
       } catch (err) {
-        switch (err.name) {
-          case 'MongoServerError':
-            switch (err.code) {
-              case 11000:
-                throw new UserInputError('EXISTING_CODE', {
-                  formErrors: {
-                    code: 'The specified code already exists',
-                  },
-                })
-            }
-            break
-        }
+        handleError(err)
       }
 
       return null
     },
+    async archiveCourse(_parent, args, { models, user }, _info) {
+      // Clean up the optional args.
+      if (args.archiveCode?.trim().length === 0) {
+        args.archiveCode = undefined
+      }
+
+      // TODO: Can only archive a course with respect to its schedule.
+
+      // Archive the course, renaming it so that its code can be reused.
+      return await changeStatus(
+        models,
+        args,
+        user,
+        'archive',
+        'COURSE_ARCHIVING_FAILED',
+        (course) => {
+          course.code =
+            args.archiveCode ??
+            `${course.code}_${DateTime.fromJSDate(course.archived).toFormat(
+              'yyyy-MM-dd_HH-mm'
+            )}_archived`
+        }
+      )
+    },
     async cloneCourse(_parent, args, { models, user }, _info) {
-      const { Assessment, Course } = models
+      const { Course } = models
 
       // Clean up the optional args.
       if (args.cloneCode?.trim().length === 0) {
@@ -501,40 +662,9 @@ const resolvers = {
         )}_cloned`
       }
 
-      const clone = new Course(course)
-      clone.isNew = true
-
-      clone.published = undefined
-      clone.archived = undefined
-
-      clone._id = new mongoose.Types.ObjectId()
-      clone.clonedFrom = course._id
-      clone.code = args.cloneCode
-      clone.created = new Date()
-      clone.user = new mongoose.Types.ObjectId(user.id)
-
-      // Save the course into the database.
+      // Save the course and its assessments into the database.
       try {
-        const cloneCourse = await clone.save()
-
-        // Clone the assessments of the course.
-        const assessments = await Assessment.find({ course: course._id })
-        await Promise.all(
-          assessments.map(async (assessment) => {
-            const clone = new Assessment(assessment)
-            clone.isNew = true
-
-            clone._id = new mongoose.Types.ObjectId()
-            clone.clonedFrom = assessment._id
-            clone.course = cloneCourse._id
-            clone.created = new Date()
-            clone.user = new mongoose.Types.ObjectId(user.id)
-
-            await clone.save()
-          })
-        )
-
-        return cloneCourse
+        return await duplicateCourse(models, course, user, args.cloneCode)
       } catch (err) {
         switch (err.name) {
           case 'MongoServerError':
@@ -552,6 +682,15 @@ const resolvers = {
 
       return null
     },
+    async closeCourse(_parent, args, { models, user }, _info) {
+      return await changeStatus(
+        models,
+        args,
+        user,
+        'close',
+        'COURSE_CLOSING_FAILED'
+      )
+    },
     async createCourse(_parent, args, { models, user }, _info) {
       const { Competency, Course, Partner, User } = models
 
@@ -596,13 +735,7 @@ const resolvers = {
           {}
         )
       }
-      if (args.teachers) {
-        course.teachers = await Promise.all(
-          args.teachers.map(
-            async (t) => await User.exists({ username: t })?._id
-          )
-        )
-      }
+      await setTeachers(models, course, args.teachers)
       course.user = user.id
 
       // Save the course into the database.
@@ -683,11 +816,7 @@ const resolvers = {
             {}
           )
 
-      course.teachers = !args.teachers
-        ? undefined
-        : await Promise.all(
-            args.teachers.map(async (t) => await User.exists({ username: t }))
-          )
+      await setTeachers(models, course, args.teachers)
 
       // Save the course into the database.
       try {
@@ -698,34 +827,299 @@ const resolvers = {
 
       return null
     },
-    async publishCourse(_parent, args, { models, user }, _info) {
+    // Configure the actions permitted to a staff role of a course.
+    async editCoursePermissions(_parent, args, { models, user }, _info) {
       const { Course } = models
 
-      const course = await Course.findOne({ code: args.code })
-      if (!course) {
+      const course = await Course.findOne({ code: args.courseCode })
+      if (!course || getStaffRole(course, user) !== 'coordinator') {
+        throw new UserInputError('COURSE_NOT_FOUND')
+      }
+      if (args.role === 'coordinator') {
+        throw new UserInputError('INVALID_STAFF_ROLE')
+      }
+
+      course.permissions = {
+        ...course.toObject().permissions,
+        [args.role]: [...new Set(args.permissions)],
+      }
+
+      try {
+        return await course.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Replace the prerequisites of a course, which are either courses,
+    // identified by their code, with the basic progress to reach in them,
+    // or competencies, identified by their code, to be acquired.
+    async editCoursePrerequisites(_parent, args, { models, user }, _info) {
+      const { Competency, Course } = models
+
+      const course = await Course.findOne({ code: args.courseCode })
+      if (!course || !isCoordinator(course, user)) {
+        throw new UserInputError('COURSE_NOT_FOUND')
+      }
+
+      const prerequisites = []
+      for (const p of args.prerequisites) {
+        if (!p.competency === !p.course) {
+          throw new UserInputError('INVALID_PREREQUISITES')
+        }
+
+        if (p.course) {
+          const prerequisite = await Course.exists({ code: p.course })
+          if (!prerequisite) {
+            throw new UserInputError('COURSE_NOT_FOUND')
+          }
+          prerequisites.push({
+            course: prerequisite._id,
+            progress: p.progress ?? 100,
+          })
+        } else {
+          const competency = await Competency.exists({ code: p.competency })
+          if (!competency) {
+            throw new UserInputError('COMPETENCY_NOT_FOUND')
+          }
+          prerequisites.push({ competency: competency._id })
+        }
+      }
+      course.prerequisites = prerequisites.length ? prerequisites : undefined
+
+      try {
+        return await course.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Replace the progress guide of a course, that is, the progress
+    // that its learners are expected to have reached at given dates.
+    async editProgressGuide(_parent, args, { models, user }, _info) {
+      const { Course } = models
+
+      const course = await Course.findOne({ code: args.courseCode })
+      if (!course || !isCoordinator(course, user)) {
+        throw new UserInputError('COURSE_NOT_FOUND')
+      }
+
+      // The expected progress cannot decrease over time
+      // and there can only be one step for a given date.
+      const steps = args.steps
+        .map((s) => ({ ...s, date: new Date(s.date) }))
+        .sort((a, b) => a.date - b.date)
+      if (
+        steps.some(
+          (s, i) =>
+            isNaN(s.date) ||
+            (i > 0 &&
+              (+s.date === +steps[i - 1].date ||
+                s.basic < steps[i - 1].basic ||
+                s.advanced < steps[i - 1].advanced))
+        )
+      ) {
+        throw new UserInputError('INVALID_PROGRESS_GUIDE')
+      }
+
+      course.progressGuide = steps.length
+        ? steps.map(({ advanced, basic, date }) => ({
+            date,
+            progress: { advanced, basic },
+          }))
+        : undefined
+
+      try {
+        return await course.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Grant a learner a waiver for the prerequisites of a course.
+    async grantPrerequisiteWaiver(_parent, args, { models, user }, _info) {
+      const { Course, User } = models
+
+      const course = await Course.findOne({ code: args.courseCode })
+      if (!course || !isCoordinator(course, user)) {
         throw new UserInputError('COURSE_NOT_FOUND')
       }
 
-      // Can only publish a course that is not published yet
-      // and only the course coordinator can publish it.
-      if (course.published || course.archived || !isCoordinator(course, user)) {
-        throw new UserInputError('COURSE_PUBLICATION_FAILED')
+      const learner = await User.exists({ username: args.username })
+      if (!learner) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+      if (!course.waivers?.some((w) => w.user.equals(learner._id))) {
+        course.waivers = [...(course.waivers ?? []), { user: learner._id }]
+      }
+
+      try {
+        return await course.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Create a new course from a bundle produced by 'exportCourse',
+    // optionally under another code than the original one.
+    async importCourse(_parent, args, { models, user }, _info) {
+      // Clean up the optional args.
+      cleanString(args, 'code')
+
+      const bundle = parseCourseBundle(args.bundle)
+      if (!bundle) {
+        throw new UserInputError('INVALID_BUNDLE')
       }
 
+      // Import the course, its assessments and its missing competencies.
+      try {
+        return await importCourseBundle(models, user, bundle, args.code)
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    async publishCourse(_parent, args, { models, user }, _info) {
       // TODO: Can only publish a course with respect to its schedule.
 
-      // Publish the course
-      course.published = new Date()
+      return await changeStatus(
+        models,
+        args,
+        user,
+        'publish',
+        'COURSE_PUBLICATION_FAILED'
+      )
+    },
+    // Remove a user from the staff of a course, except its coordinator.
+    async removeStaffMember(_parent, args, { models, user }, _info) {
+      const { Course, User } = models
+
+      const course = await Course.findOne({ code: args.courseCode })
+      if (!course || getStaffRole(course, user) !== 'coordinator') {
+        throw new UserInputError('COURSE_NOT_FOUND')
+      }
+
+      const member = await User.exists({ username: args.username })
+      const memberId = member?._id.toString()
+      const role = member && getStaffRole(course, { id: memberId })
+      if (!role || role === 'coordinator') {
+        throw new UserInputError('STAFF_MEMBER_NOT_FOUND')
+      }
+
+      if (role === 'teacher') {
+        course.teachers = course.teachers.filter(
+          (t) => t.toString() !== memberId
+        )
+      } else {
+        course.staff = course.staff.filter(
+          (m) => m.user.toString() !== memberId
+        )
+      }
+
+      try {
+        return await course.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Reopen a closed course, for example to grant extra evaluations.
+    async reopenCourse(_parent, args, { models, user }, _info) {
+      return await changeStatus(
+        models,
+        args,
+        user,
+        'reopen',
+        'COURSE_REOPENING_FAILED'
+      )
+    },
+    // Revoke the waiver for the prerequisites of a course granted to a learner.
+    async revokePrerequisiteWaiver(_parent, args, { models, user }, _info) {
+      const { Course, User } = models
+
+      const course = await Course.findOne({ code: args.courseCode })
+      if (!course || !isCoordinator(course, user)) {
+        throw new UserInputError('COURSE_NOT_FOUND')
+      }
+
+      const learner = await User.exists({ username: args.username })
+      if (
+        !learner ||
+        !course.waivers?.some((w) => w.user.equals(learner._id))
+      ) {
+        throw new UserInputError('WAIVER_NOT_FOUND')
+      }
+      course.waivers = course.waivers.filter((w) => !w.user.equals(learner._id))
+      if (!course.waivers.length) {
+        course.waivers = undefined
+      }
 
-      // Save the course into the database.
       try {
         return await course.save()
       } catch (err) {
-        console.log(err)
+        handleError(err)
       }
 
       return null
     },
+    async startCourse(_parent, args, { models, user }, _info) {
+      return await changeStatus(
+        models,
+        args,
+        user,
+        'start',
+        'COURSE_START_FAILED'
+      )
+    },
+    // Bring a running course back to the published status,
+    // which is only possible as long as no evaluation has been made.
+    async stopCourse(_parent, args, { models, user }, _info) {
+      return await changeStatus(
+        models,
+        args,
+        user,
+        'stop',
+        'COURSE_STOP_FAILED'
+      )
+    },
+    // Bring an archived course back to the closed status,
+    // possibly restoring its code.
+    async unarchiveCourse(_parent, args, { models, user }, _info) {
+      // Clean up the optional args.
+      if (args.unarchiveCode?.trim().length === 0) {
+        args.unarchiveCode = undefined
+      }
+
+      return await changeStatus(
+        models,
+        args,
+        user,
+        'unarchive',
+        'COURSE_UNARCHIVING_FAILED',
+        (course) => {
+          if (args.unarchiveCode) {
+            course.code = args.unarchiveCode
+          }
+        }
+      )
+    },
+    // Bring a published course back to a draft,
+    // which is only possible as long as nobody registered to it.
+    async unpublishCourse(_parent, args, { models, user }, _info) {
+      return await changeStatus(
+        models,
+        args,
+        user,
+        'unpublish',
+        'COURSE_UNPUBLICATION_FAILED'
+      )
+    },
   },
 }
 
@@ -6,14 +6,47 @@ const typeDefs = gql`
     BASIC
   }
 
+  enum ComparisonStatus {
+    ADDED
+    CHANGED
+    REMOVED
+    UNCHANGED
+  }
+
+  enum ChecklistVisibility {
+    PRIVATE
+    PUBLIC
+  }
+
+  enum CourseImportConflictType {
+    BANNER
+    COMPETENCY
+    COURSE
+    PARTNER
+    SUPERVISOR
+    TEACHER
+  }
+
   enum CourseLoadType {
     THEO_PRAC
     WEEKLY
   }
 
+  enum CoursePermission {
+    EVALUATE
+    MANAGE_ANNOUNCEMENTS
+    MANAGE_ASSESSMENTS
+    MANAGE_REGISTRATIONS
+    PUBLISH_EVALUATIONS
+    VIEW_ASSESSMENTS
+    VIEW_REGISTRATIONS
+  }
+
   enum CourseStatus {
     ARCHIVED
+    CLOSED
     PUBLISHED
+    RUNNING
     UNPUBLISHED
   }
 
@@ -36,6 +69,19 @@ const typeDefs = gql`
     WORKING
   }
 
+  enum StaffRole {
+    ASSISTANT
+    COORDINATOR
+    GRADER
+    OBSERVER
+    TEACHER
+  }
+
+  enum SyllabusFormat {
+    HTML
+    PDF
+  }
+
   enum Visibility {
     INVITE_ONLY
     PRIVATE
@@ -47,6 +93,39 @@ const typeDefs = gql`
     name: String
   }
 
+  type AssessmentComparison {
+    changes: [FieldChange!]!
+    checklists: [ChecklistComparison!]!
+    code: String
+    competencies: [CompetencyComparison!]!
+    name: String!
+    status: ComparisonStatus!
+  }
+
+  type ChecklistComparison {
+    added: [String!]!
+    competency: String!
+    phase: String
+    removed: [String!]!
+    visibility: ChecklistVisibility!
+  }
+
+  type CompetencyComparison {
+    changes: [FieldChange!]!
+    code: String!
+    phase: String
+    status: ComparisonStatus!
+  }
+
+  type CourseComparison {
+    assessments: [AssessmentComparison!]!
+    competencies: [CompetencyComparison!]!
+    courseA: Course!
+    courseB: Course!
+    load: [FieldChange!]!
+    schedule: [FieldChange!]!
+  }
+
   type CourseCompetency {
     category: CompetencyCategory!
     competency: Competency!
@@ -59,6 +138,18 @@ const typeDefs = gql`
     working: [CourseWorkingGroup!]
   }
 
+  type CourseImport {
+    competencies: [String!]!
+    conflicts: [CourseImportConflict!]!
+    course: Course
+  }
+
+  type CourseImportConflict {
+    reason: String!
+    reference: String!
+    type: CourseImportConflictType!
+  }
+
   type CourseLoad {
     ects: Int
     practice: Int
@@ -67,26 +158,76 @@ const typeDefs = gql`
     weekload: Int
   }
 
+  type CoursePrerequisite {
+    competency: Competency
+    course: Course
+    progress: Int
+  }
+
+  type CourseRolePermissions {
+    permissions: [CoursePermission!]!
+    role: StaffRole!
+  }
+
+  type CourseStaffMember {
+    permissions: [CoursePermission!]!
+    role: StaffRole!
+    user: User!
+  }
+
   type CourseTeachingGroup {
     isSupervisor: Boolean
     name: String
     supervisor: User!
   }
 
+  type CourseTransition {
+    date: DateTime!
+    from: CourseStatus!
+    to: CourseStatus!
+    user: User
+  }
+
   type CourseWorkingGroup {
     name: String
     size: Int
   }
 
+  type FieldChange {
+    after: String
+    before: String
+    field: String!
+  }
+
+  type PrerequisiteWaiver {
+    date: DateTime!
+    user: User
+  }
+
+  type ProgressStep {
+    advanced: Int!
+    basic: Int!
+    date: DateTime!
+  }
+
+  type UnmetPrerequisite {
+    competency: Competency
+    course: Course
+    current: Int
+    progress: Int
+  }
+
   type Course {
     archived: DateTime @auth(requires: TEACHER)
     assessments: [Assessment!] @auth(requires: TEACHER)
     banner: String
+    closed: DateTime @auth(requires: TEACHER)
     code: ID!
     colophon: String
     competencies: [CourseCompetency!]!
     coordinator: User!
     description: String!
+    editions: [Course!] @auth(requires: TEACHER)
     field: String
     groups: CourseGroup @auth(requires: TEACHER)
     hasAdvancedCompetencies: Boolean
@@ -102,24 +243,37 @@ const typeDefs = gql`
     isTeacher: Boolean @auth
     language: String
     load: CourseLoad
+    myPermissions: [CoursePermission!] @auth
     name: String!
     partners: [Partner!]
+    permissions: [CourseRolePermissions!] @auth(requires: TEACHER)
+    prerequisites: [CoursePrerequisite!]
+    progressGuide: [ProgressStep!] @auth
     published: DateTime @auth(requires: TEACHER)
     registration: Registration @auth
     registrations: [Registration!] @auth(requires: TEACHER)
     schedule: [Event!]
     status: CourseStatus @auth(requires: [ADMIN, STUDENT, TEACHER])
     span: Int
+    staff: [CourseStaffMember!] @auth
+    started: DateTime @auth(requires: TEACHER)
     tags: [String!]
     teachers: [User!]
     team: [User!]
+    transitions: [CourseTransition!] @auth(requires: TEACHER)
     type: CourseType!
+    unmetPrerequisites: [UnmetPrerequisite!] @auth
     visibility: Visibility!
+    waivers: [PrerequisiteWaiver!] @auth(requires: TEACHER)
   }
 
   extend type Query {
+    compareCourses(codeA: ID!, codeB: ID!): CourseComparison
+      @auth(requires: TEACHER)
     courses(offset: Int, limit: Int, view: CourseView): [Course!]!
     course(code: ID!): Course
+    courseSyllabus(code: ID!, format: SyllabusFormat): JSONObject
+    exportCourse(code: ID!): JSONObject @auth(requires: TEACHER)
   }
 
   input CourseCompetencyInput {
@@ -142,6 +296,12 @@ const typeDefs = gql`
     weekload: Int
   }
 
+  input CoursePrerequisiteInput {
+    competency: ID
+    course: ID
+    progress: Int
+  }
+
   input CourseTeachingGroupInput {
     name: String
     supervisor: ID!
@@ -157,10 +317,19 @@ const typeDefs = gql`
     name: String
   }
 
+  input ProgressStepInput {
+    advanced: Int!
+    basic: Int!
+    date: DateTime!
+  }
+
   extend type Mutation {
+    addStaffMember(courseCode: ID!, role: StaffRole!, username: ID!): Course
+      @auth(requires: TEACHER)
     archiveCourse(archiveCode: String, code: ID!): Course
       @auth(requires: TEACHER)
     cloneCourse(cloneCode: String, code: ID!): Course @auth(requires: TEACHER)
+    closeCourse(code: ID!): Course @auth(requires: TEACHER)
     createCourse(
       code: String!
       colophon: String
@@ -197,7 +366,32 @@ const typeDefs = gql`
       type: CourseType
       visibility: Visibility
     ): Course @auth(requires: TEACHER)
+    editCoursePermissions(
+      courseCode: ID!
+      permissions: [CoursePermission!]!
+      role: StaffRole!
+    ): Course @auth(requires: TEACHER)
+    editProgressGuide(courseCode: ID!, steps: [ProgressStepInput!]!): Course
+      @auth(requires: TEACHER)
+    editCoursePrerequisites(
+      courseCode: ID!
+      prerequisites: [CoursePrerequisiteInput!]!
+    ): Course @auth(requires: TEACHER)
+    grantPrerequisiteWaiver(courseCode: ID!, username: ID!): Course
+      @auth(requires: TEACHER)
+    importCourse(bundle: String!, code: String): CourseImport
+      @auth(requires: TEACHER)
     publishCourse(code: ID!): Course @auth(requires: TEACHER)
+    removeStaffMember(courseCode: ID!, username: ID!): Course
+      @auth(requires: TEACHER)
+    reopenCourse(code: ID!): Course @auth(requires: TEACHER)
+    revokePrerequisiteWaiver(courseCode: ID!, username: ID!): Course
+      @auth(requires: TEACHER)
+    startCourse(code: ID!): Course @auth(requires: TEACHER)
+    stopCourse(code: ID!): Course @auth(requires: TEACHER)
+    unarchiveCourse(code: ID!, unarchiveCode: String): Course
+      @auth(requires: TEACHER)
+    unpublishCourse(code: ID!): Course @auth(requires: TEACHER)
   }
 `
 
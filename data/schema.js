@@ -6,15 +6,23 @@ import {
   authDirectiveTransformer,
 } from '../directives/auth-directive.js'
 
+import announcements from '../announcements/index.js'
 import assessments from '../assessments/index.js'
+import audits from '../audits/index.js'
 import competencies from '../competencies/index.js'
 import courses from '../courses/index.js'
 import evaluations from '../evaluations/index.js'
 import events from '../events/index.js'
 import files from '../files/index.js'
+import notifications from '../notifications/index.js'
 import partners from '../partners/index.js'
 import programs from '../programs/index.js'
 import registrations from '../registrations/index.js'
+import search from '../search/index.js'
+import sessions from '../sessions/index.js'
+import settings from '../settings/index.js'
+import templates from '../templates/index.js'
+import tokens from '../tokens/index.js'
 import users from '../users/index.js'
 
 const typeDefs = gql`
@@ -24,50 +32,75 @@ const typeDefs = gql`
 
   type Query
   type Mutation
+  type Subscription
 `
 
 let schema = makeExecutableSchema({
   typeDefs: [
     authDirectiveTypeDefs,
     typeDefs,
+    announcements.typeDef,
     assessments.typeDef,
+    audits.typeDef,
     competencies.typeDef,
     courses.typeDef,
     evaluations.typeDef,
     events.typeDef,
     files.typeDef,
+    notifications.typeDef,
     partners.typeDef,
     programs.typeDef,
     registrations.typeDef,
+    search.typeDef,
+    sessions.typeDef,
+    settings.typeDef,
+    templates.typeDef,
+    tokens.typeDef,
     users.typeDef,
   ],
   resolvers: [
+    announcements.resolvers,
     assessments.resolvers,
+    audits.resolvers,
     competencies.resolvers,
     courses.resolvers,
     evaluations.resolvers,
     events.resolvers,
     files.resolvers,
+    notifications.resolvers,
     partners.resolvers,
     programs.resolvers,
     registrations.resolvers,
+    search.resolvers,
+    sessions.resolvers,
+    settings.resolvers,
+    templates.resolvers,
+    tokens.resolvers,
     users.resolvers,
   ],
 })
 schema = authDirectiveTransformer(schema)
 
 const models = {
+  Announcement: announcements.Announcement,
   Assessment: assessments.Assessment,
+  Attempt: users.Attempt,
+  Audit: audits.Audit,
   Competency: competencies.Competency,
   Course: courses.Course,
   Evaluation: evaluations.Evaluation,
   Event: events.Event,
   File: files.File,
   Instance: assessments.Instance,
+  Notification: notifications.Notification,
   Partner: partners.Partner,
   Program: programs.Program,
   ProgressHistory: evaluations.ProgressHistory,
   Registration: registrations.Registration,
+  Session: sessions.Session,
+  Settings: settings.Settings,
+  Template: templates.Template,
+  Token: tokens.Token,
   User: users.User,
 }
 
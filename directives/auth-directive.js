@@ -2,11 +2,38 @@ import { mapSchema, getDirective, MapperKind } from '@graphql-tools/utils'
 import { AuthenticationError } from 'apollo-server'
 import { defaultFieldResolver } from 'graphql'
 
+// Check that the connected user is allowed to access
+// a field, or to subscribe to it, given its directive.
+const checkAccess = function (authDirective, context) {
+  if (!context.user) {
+    throw new AuthenticationError('Not authorized')
+  }
+
+  // Admin fields and those explicitly marked as not impersonable
+  // cannot be accessed while impersonating a user.
+  const { impersonable, requires } = authDirective
+  if (
+    context.user.impersonator &&
+    (impersonable === false || requires?.includes('ADMIN'))
+  ) {
+    throw new AuthenticationError('Not authorized')
+  }
+
+  if (requires) {
+    if (
+      !requires.some((role) => context.user.roles.includes(role.toLowerCase()))
+    ) {
+      throw new AuthenticationError('Not authorized')
+    }
+  }
+}
+
 const authDirective = function (directiveName) {
   const typeDirectiveArgumentMaps = {}
 
   return {
     authDirectiveTypeDefs: `directive @${directiveName}(
+      impersonable: Boolean
       requires: [Role]
     ) on OBJECT | FIELD_DEFINITION
 
@@ -31,24 +58,18 @@ const authDirective = function (directiveName) {
             getDirective(schema, fieldConfig, directiveName)?.[0] ??
             typeDirectiveArgumentMaps[typeName]
           if (authDirective) {
-            const { resolve = defaultFieldResolver } = fieldConfig
+            const { resolve = defaultFieldResolver, subscribe } = fieldConfig
             fieldConfig.resolve = function (source, args, context, info) {
-              if (!context.user) {
-                throw new AuthenticationError('Not authorized')
-              }
+              checkAccess(authDirective, context)
+              return resolve(source, args, context, info)
+            }
 
-              const { requires } = authDirective
-              if (requires) {
-                if (
-                  !requires.some((role) =>
-                    context.user.roles.includes(role.toLowerCase())
-                  )
-                ) {
-                  throw new AuthenticationError('Not authorized')
-                }
+            // Subscriptions are also checked when subscribing to them.
+            if (subscribe) {
+              fieldConfig.subscribe = function (source, args, context, info) {
+                checkAccess(authDirective, context)
+                return subscribe(source, args, context, info)
               }
-
-              return resolve(source, args, context, info)
             }
             return fieldConfig
           }
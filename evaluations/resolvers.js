@@ -2,10 +2,23 @@ import Bugsnag from '@bugsnag/js'
 import { DateTime } from 'luxon'
 
 import { AuthenticationError, UserInputError } from 'apollo-server'
+import { withFilter } from 'graphql-subscriptions'
 
 import { canRequestEvaluation } from '../lib/assessments.js'
-import { isCoordinator, isTeacher } from '../lib/courses.js'
 import { isEvaluator } from '../lib/evaluations.js'
+import { isRunning, STATUS_FIELDS } from '../lib/lifecycle.js'
+import { notify } from '../lib/notifications.js'
+import {
+  getStaffRole,
+  hasPermission,
+  PERMISSION_FIELDS,
+} from '../lib/permissions.js'
+import {
+  EVALUATION_PUBLISHED,
+  EVALUATION_REQUESTED,
+  getId,
+  pubsub,
+} from '../lib/pubsub.js'
 import {
   cleanArray,
   cleanField,
@@ -81,6 +94,39 @@ function isRequestPending(evaluation) {
   )
 }
 
+// Notify the learner of an evaluation that its status changed.
+async function notifyLearner(models, smtpTransport, evaluation, category) {
+  const { Assessment, Course } = models
+
+  try {
+    const assessment = await Assessment.findOne(
+      { _id: evaluation.assessment?._id ?? evaluation.assessment },
+      'name'
+    ).lean()
+    const course = await Course.findOne(
+      { _id: evaluation.course?._id ?? evaluation.course },
+      'code name'
+    ).lean()
+
+    const name = `“${assessment.name}” (${course.code} – ${course.name})`
+    const message = {
+      'evaluation-published': `A new evaluation has been published for the assessment ${name}.`,
+      'evaluation-request-accepted': `Your evaluation request for the assessment ${name} has been accepted.`,
+      'evaluation-request-rejected': `Your evaluation request for the assessment ${name} has been rejected.`,
+    }[category]
+
+    await notify(models, smtpTransport, {
+      category,
+      course: course._id,
+      data: { courseCode: course.code, evaluation: evaluation._id.toString() },
+      message,
+      user: evaluation.user,
+    })
+  } catch (err) {
+    Bugsnag.notify(err)
+  }
+}
+
 // Create the progress history.
 async function saveProgressHistory(evaluation, assessment, models) {
   const { ProgressHistory } = models
@@ -404,7 +450,12 @@ const resolvers = {
   },
   Mutation: {
     // Accept an evaluation request.
-    async acceptEvaluationRequest(_parent, args, { models, user }, _info) {
+    async acceptEvaluationRequest(
+      _parent,
+      args,
+      { models, smtpTransport, user },
+      _info
+    ) {
       const { Evaluation } = models
 
       // Clean up the optional args.
@@ -420,13 +471,16 @@ const resolvers = {
       const course = await Evaluation.populate(evaluation, [
         {
           path: 'course',
-          select: '_id coordinator teachers',
+          select: `_id ${PERMISSION_FIELDS} ${STATUS_FIELDS}`,
           model: 'Course',
         },
       ]).then((e) => e.course)
-      if (!(isCoordinator(course, user) || isTeacher(course, user))) {
+      if (!hasPermission(course, user, 'evaluate')) {
         throw new UserInputError('NOT_AUTHORISED')
       }
+      if (!isRunning(course)) {
+        throw new UserInputError('COURSE_NOT_RUNNING')
+      }
 
       // Accept the evaluation request.
       evaluation.acceptanceComment = args.comment
@@ -436,8 +490,15 @@ const resolvers = {
       evaluation.competencies = undefined
 
       try {
-        // Update the evaluation into the database.
-        return await evaluation.save()
+        // Update the evaluation into the database and notify the learner.
+        await evaluation.save()
+        await notifyLearner(
+          models,
+          smtpTransport,
+          evaluation,
+          'evaluation-request-accepted'
+        )
+        return evaluation
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -458,11 +519,11 @@ const resolvers = {
       const course = await Evaluation.populate(evaluation, [
         {
           path: 'course',
-          select: 'coordinator teachers',
+          select: PERMISSION_FIELDS,
           model: 'Course',
         },
       ]).then((e) => e.course)
-      if (!(isCoordinator(course, user) || isTeacher(course, user))) {
+      if (!hasPermission(course, user, 'evaluate')) {
         throw new UserInputError('NOT_AUTHORISED')
       }
 
@@ -561,11 +622,26 @@ const resolvers = {
       const assessment = await Assessment.findOne(
         { _id: args.assessment },
         'course instances'
-      ).lean()
+      )
+        .populate({
+          path: 'course',
+          select: `${PERMISSION_FIELDS} ${STATUS_FIELDS}`,
+          model: 'Course',
+        })
+        .lean()
       if (!assessment) {
         throw new UserInputError('ASSESSMENT_NOT_FOUND')
       }
 
+      // Check whether the connected user is permitted to evaluate learners,
+      // which can only be done while the course is running.
+      if (!hasPermission(assessment.course, user, 'evaluate')) {
+        throw new UserInputError('NOT_AUTHORISED')
+      }
+      if (!isRunning(assessment.course)) {
+        throw new UserInputError('COURSE_NOT_RUNNING')
+      }
+
       // Retrieve the number of existing instances for the same assessment.
       if (!args.instance) {
         const instancesNb = await Instance.countDocuments({
@@ -610,7 +686,7 @@ const resolvers = {
               }))
             )
           : undefined
-        evaluation.course = assessment.course
+        evaluation.course = assessment.course._id
         evaluation.evaluator = user.id
         evaluation.instance = instance._id
         evaluation.user = learner._id
@@ -783,12 +859,17 @@ const resolvers = {
     },
     // Publish an evaluation that is not yet published
     // and save the associated possible progress history.
-    async publishEvaluation(_parent, args, { models, user }, _info) {
+    async publishEvaluation(
+      _parent,
+      args,
+      { models, smtpTransport, user },
+      _info
+    ) {
       const { Evaluation } = models
 
       const evaluation = await Evaluation.findOne({ _id: args.id }).populate({
         path: 'course',
-        select: 'coordinator',
+        select: PERMISSION_FIELDS,
         model: 'Course',
       })
       if (!evaluation) {
@@ -796,12 +877,14 @@ const resolvers = {
       }
 
       // Can only publish an evaluation that is not published yet
-      // and only its evaluator or the associated course coordinator can publish it.
+      // and only its evaluator, if permitted to publish evaluations,
+      // or the associated course coordinator can publish it.
       if (
         evaluation.published ||
         !(
-          isEvaluator(evaluation, user) ||
-          isCoordinator(evaluation.course, user)
+          (isEvaluator(evaluation, user) &&
+            hasPermission(evaluation.course, user, 'publish-evaluations')) ||
+          getStaffRole(evaluation.course, user) === 'coordinator'
         )
       ) {
         throw new UserInputError('NOT_AUTHORISED')
@@ -900,8 +983,18 @@ const resolvers = {
       evaluation.published = new Date()
 
       try {
-        // Save the evaluation into the database.
-        return await evaluation.save()
+        // Save the evaluation into the database and notify the learner.
+        await evaluation.save()
+        pubsub.publish(EVALUATION_PUBLISHED, {
+          evaluationPublished: evaluation,
+        })
+        await notifyLearner(
+          models,
+          smtpTransport,
+          evaluation,
+          'evaluation-published'
+        )
+        return evaluation
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -909,7 +1002,12 @@ const resolvers = {
       return null
     },
     // Reject an evaluation request.
-    async rejectEvaluationRequest(_parent, args, { models, user }, _info) {
+    async rejectEvaluationRequest(
+      _parent,
+      args,
+      { models, smtpTransport, user },
+      _info
+    ) {
       const { Evaluation } = models
 
       // Retrieve the evaluation request to reject.
@@ -922,11 +1020,11 @@ const resolvers = {
       const course = await Evaluation.populate(evaluation, [
         {
           path: 'course',
-          select: '_id coordinator teachers',
+          select: `_id ${PERMISSION_FIELDS}`,
           model: 'Course',
         },
       ]).then((e) => e.course)
-      if (!(isCoordinator(course, user) || isTeacher(course, user))) {
+      if (!hasPermission(course, user, 'evaluate')) {
         throw new UserInputError('NOT_AUTHORISED')
       }
 
@@ -936,8 +1034,15 @@ const resolvers = {
       evaluation.rejectionReason = args.reason
 
       try {
-        // Update the evaluation into the database.
-        return await evaluation.save()
+        // Update the evaluation into the database and notify the learner.
+        await evaluation.save()
+        await notifyLearner(
+          models,
+          smtpTransport,
+          evaluation,
+          'evaluation-request-rejected'
+        )
+        return evaluation
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -962,15 +1067,18 @@ const resolvers = {
         .populate({
           model: 'Course',
           path: 'course',
-          select: 'schedule',
+          select: STATUS_FIELDS,
         })
         .lean()
       if (!assessment) {
         throw new UserInputError('ASSESSMENT_NOT_FOUND')
       }
 
-      // Check date and time constraints.
-      if (!canRequestEvaluation(assessment, requestDate)) {
+      // Check the course is running and the date and time constraints.
+      if (
+        !isRunning(assessment.course) ||
+        !canRequestEvaluation(assessment, requestDate)
+      ) {
         throw new UserInputError('EVALUATION_REQUEST')
       }
 
@@ -1048,7 +1156,12 @@ const resolvers = {
         evaluation.requested = requestDate.toJSDate()
         evaluation.user = user.id
 
-        return await evaluation.save()
+        // Save the evaluation and push it to the teachers of the course.
+        await evaluation.save()
+        pubsub.publish(EVALUATION_REQUESTED, {
+          evaluationRequested: evaluation,
+        })
+        return evaluation
       } catch (err) {
         const formErrors = {}
 
@@ -1100,6 +1213,36 @@ const resolvers = {
       return null
     },
   },
+  Subscription: {
+    // Push the evaluations published for the connected learner.
+    evaluationPublished: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(EVALUATION_PUBLISHED),
+        ({ evaluationPublished }, _args, { user }) =>
+          getId(evaluationPublished.user) === user?.id
+      ),
+    },
+    // Push the new evaluation requests for a course to its teachers.
+    evaluationRequested: {
+      async subscribe(parent, args, context, info) {
+        const { Course } = context.models
+
+        const course = await Course.findOne(
+          { code: args.courseCode },
+          `_id ${PERMISSION_FIELDS}`
+        ).lean()
+        if (!course || !hasPermission(course, context.user, 'evaluate')) {
+          throw new UserInputError('COURSE_NOT_FOUND')
+        }
+
+        return withFilter(
+          () => pubsub.asyncIterator(EVALUATION_REQUESTED),
+          ({ evaluationRequested }) =>
+            getId(evaluationRequested.course) === course._id.toString()
+        )(parent, args, context, info)
+      },
+    },
+  },
 }
 
 export default resolvers
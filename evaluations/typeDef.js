@@ -111,6 +111,11 @@ const typeDefs = gql`
     ): Evaluation @auth(requires: STUDENT)
     unpublishEvaluation(id: ID!): Evaluation @auth(requires: TEACHER)
   }
+
+  extend type Subscription {
+    evaluationPublished: Evaluation @auth
+    evaluationRequested(courseCode: ID!): Evaluation @auth(requires: TEACHER)
+  }
 `
 
 export default typeDefs
@@ -3,6 +3,9 @@ import { UserInputError } from 'apollo-server'
 import fs from 'fs-extra'
 import path from 'path'
 
+import { readImage } from '../lib/images.js'
+import { getProfileImageURLs, PROFILE_IMAGE_SIZES } from '../lib/users.js'
+
 const resolvers = {
   Resource: {
     // Retrieve the 'id' of this resource.
@@ -85,6 +88,60 @@ const resolvers = {
         Bugsnag.notify(err)
       }
 
+      return null
+    },
+    // Update the profile image of the connected user,
+    // cropping and resizing it into square thumbnails of several sizes.
+    async updateProfileImage(
+      _parent,
+      args,
+      { models, user: loggedUser },
+      _info
+    ) {
+      const { User } = models
+
+      const user = await User.findOne(
+        { _id: loggedUser.id },
+        'profileImage profileImageURL'
+      )
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+
+      // Check the size, the type and the dimensions of the image.
+      const image = await readImage(args.image)
+
+      // Create the thumbnails at the right location on disk.
+      try {
+        const profilePath = path.join(
+          process.env.BANNER_DIRECTORY,
+          'users',
+          user._id.toString(),
+          'profile'
+        )
+
+        // Delete the current thumbnails, if any
+        // or create the complete path to the profile directory.
+        await fs.emptyDir(profilePath)
+
+        // Create the thumbnails in the profile directory.
+        const name = Date.now().toString()
+        for (const [size, width] of Object.entries(PROFILE_IMAGE_SIZES)) {
+          await image
+            .clone()
+            .cover(width, width)
+            .writeAsync(path.join(profilePath, `${name}_${size}.png`))
+        }
+
+        // Save the user updated with the new profile image into the database.
+        user.profileImage = `/uploads/users/${user._id}/profile/${name}`
+        user.profileImageURL = getProfileImageURLs(user).large
+        await user.save()
+        return getProfileImageURLs(user)
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
       return null
     },
   },
@@ -11,6 +11,12 @@ const typeDefs = gql`
     path: String
   }
 
+  type ProfileImage {
+    large: String!
+    medium: String!
+    small: String!
+  }
+
   type Resource {
     id: ID!
     name: String!
@@ -29,6 +35,7 @@ const typeDefs = gql`
       name: String!
       type: BannerType!
     ): Banner @auth(requires: TEACHER)
+    updateProfileImage(image: String!): ProfileImage @auth
   }
 `
 
@@ -1,11 +1,19 @@
 import Bugsnag from '@bugsnag/js'
-import { ApolloServer } from 'apollo-server'
+import { ApolloServerPluginDrainHttpServer } from 'apollo-server-core'
+import { ApolloServer } from 'apollo-server-express'
 import dotenv from 'dotenv'
+import express from 'express'
+import { useServer } from 'graphql-ws/lib/use/ws'
+import { createServer } from 'http'
 import jwt from 'jsonwebtoken'
 import nodemailer from 'nodemailer'
+import { WebSocketServer } from 'ws'
 
 import { schema, models } from './data/schema.js'
+import { sendScheduledAnnouncements } from './lib/announcements.js'
+import { auditPlugin } from './lib/audits.js'
 import { connectDB } from './lib/mongoose.js'
+import { getTokenUser, isAccessToken, isSessionActive } from './lib/tokens.js'
 
 dotenv.config({ path: `.env.${process.env.NODE_ENV}` })
 
@@ -51,35 +59,107 @@ const smtpTransport = nodemailer.createTransport({
 // Connect to MongoDB.
 await connectDB(process.env.MONGODB_URI)
 
-// Extract the user from the token for authentication.
-const getUser = function (token) {
+// Check every minute for scheduled announcements to send.
+setInterval(() => sendScheduledAnnouncements(models, smtpTransport), 60 * 1000)
+
+// Extract the user from the token for authentication,
+// either a JWT access token or a personal access token.
+const getUser = async function (token) {
   if (token) {
     try {
       token = token.split(' ')[1]
-      return jwt.verify(token, process.env.JWT_ACCESS_TOKEN_SECRET)
+      if (isAccessToken(token)) {
+        return await getTokenUser(models, token)
+      }
+      const userinfo = jwt.verify(token, process.env.JWT_ACCESS_TOKEN_SECRET)
+      return (await isSessionActive(models, userinfo)) ? userinfo : null
     } catch (err) {
       return null
     }
   }
 }
 
+// Extract the user from the token sent in the connection parameters.
+const getConnectionUser = function ({ connectionParams }) {
+  return getUser(
+    connectionParams?.authorization ?? connectionParams?.Authorization
+  )
+}
+
+// Create the HTTP server and the WebSocket server for subscriptions,
+// authenticated with the token sent in the connection parameters.
+// Connections without a valid token are refused, and connections
+// are closed once the token they were opened with expires.
+const app = express()
+const httpServer = createServer(app)
+const wsServer = new WebSocketServer({ server: httpServer, path: '/' })
+const wsServerCleanup = useServer(
+  {
+    schema,
+    context: async (ctx) => ({
+      env: process.env,
+      models,
+      smtpTransport,
+      user: await getConnectionUser(ctx),
+    }),
+    onConnect: async (ctx) => {
+      const user = await getConnectionUser(ctx)
+      if (!user) {
+        return false
+      }
+
+      if (user.exp) {
+        const { socket } = ctx.extra
+        const timer = setTimeout(
+          () => socket.close(4403, 'Forbidden'),
+          Math.min(user.exp * 1000 - Date.now(), 2 ** 31 - 1)
+        )
+        socket.once('close', () => clearTimeout(timer))
+      }
+    },
+  },
+  wsServer
+)
+
 // Create and configure the Apollo server.
 const server = new ApolloServer({
   schema,
-  context: ({ req }) => {
+  context: async ({ req }) => {
     const token = req?.headers?.authorization || ''
-    const user = getUser(token)
+    const user = await getUser(token)
+    const client = {
+      ip:
+        req?.headers?.['x-forwarded-for']?.split(',')[0].trim() ??
+        req?.socket?.remoteAddress,
+      userAgent: req?.headers?.['user-agent'],
+    }
     return {
+      client,
       env: process.env,
       models,
       smtpTransport,
       user,
     }
   },
-  plugins: [bugsnagPlugin],
+  plugins: [
+    ApolloServerPluginDrainHttpServer({ httpServer }),
+    {
+      async serverWillStart() {
+        return {
+          async drainServer() {
+            await wsServerCleanup.dispose()
+          },
+        }
+      },
+    },
+    auditPlugin,
+    bugsnagPlugin,
+  ],
 })
 
 // Launch the apollo server.
-server.listen({ port: 4001 }).then(({ url }) => {
-  console.log(`🚀  Server ready at ${url}`)
+await server.start()
+server.applyMiddleware({ app, path: '/' })
+httpServer.listen({ port: 4001 }, () => {
+  console.log(`🚀  Server ready at http://localhost:4001${server.graphqlPath}`)
 })
@@ -0,0 +1,94 @@
+import Bugsnag from '@bugsnag/js'
+
+import { notify } from './notifications.js'
+import { escapeHTML } from './utils.js'
+
+// Check whether a learner, through his/her registration, is targeted
+// by an announcement, that is, whether it targets no group in particular
+// or one of the teaching or working groups the learner belongs to.
+function isTargeted(announcement, registration) {
+  const { teaching, working } = announcement.groups ?? {}
+  if (!teaching?.length && !working?.length) {
+    return true
+  }
+
+  return (
+    !!teaching?.includes(registration.group?.teaching) ||
+    !!working?.includes(registration.group?.working)
+  )
+}
+
+// Notify the learners targeted by a published announcement, in-app and
+// by email, making sure that it is only done once for each announcement.
+async function sendAnnouncement(models, smtpTransport, announcement) {
+  const { Announcement, Course, Registration } = models
+
+  const now = new Date()
+  const claimed = await Announcement.findOneAndUpdate(
+    {
+      _id: announcement._id,
+      notified: { $exists: false },
+      published: { $lte: now },
+    },
+    { notified: now }
+  ).lean()
+  if (!claimed) {
+    return
+  }
+
+  const course = await Course.findOne(
+    { _id: claimed.course },
+    'code name'
+  ).lean()
+  if (!course) {
+    return
+  }
+
+  // The markdown content is sent as is, being readable as plain text.
+  const content = `<div style="white-space: pre-wrap">${escapeHTML(
+    claimed.content
+  )}</div>`
+
+  const registrations = await Registration.find(
+    { course: course._id, invitation: { $exists: false } },
+    'group user'
+  ).lean()
+  for (const registration of registrations) {
+    if (isTargeted(claimed, registration)) {
+      await notify(
+        models,
+        smtpTransport,
+        {
+          category: 'announcement',
+          course: course._id,
+          data: {
+            announcement: claimed._id.toString(),
+            courseCode: course.code,
+          },
+          message: `New announcement “${claimed.title}” in the course “${course.code} – ${course.name}”.`,
+          user: registration.user,
+        },
+        content
+      )
+    }
+  }
+}
+
+// Send the announcements whose scheduled publication date has been reached.
+async function sendScheduledAnnouncements(models, smtpTransport) {
+  const { Announcement } = models
+
+  try {
+    const announcements = await Announcement.find(
+      { notified: { $exists: false }, published: { $lte: new Date() } },
+      '_id'
+    ).lean()
+    for (const announcement of announcements) {
+      await sendAnnouncement(models, smtpTransport, announcement)
+    }
+  } catch (err) {
+    Bugsnag.notify(err)
+  }
+}
+
+export { isTargeted, sendAnnouncement, sendScheduledAnnouncements }
@@ -0,0 +1,150 @@
+import { UserInputError } from 'apollo-server'
+import { DateTime } from 'luxon'
+
+import { generateToken } from './utils.js'
+
+// Number of attempts after which delays are imposed and the key is locked,
+// IP addresses being shared by many users being allowed more attempts.
+const POLICIES = {
+  email: { delay: 2, lock: 5, lockDuration: { hours: 1 } },
+  signIn: { delay: 3, lock: 10, lockDuration: { minutes: 15 } },
+  twoFactor: { delay: 3, lock: 5, lockDuration: { minutes: 15 } },
+}
+const IP_FACTOR = 5
+
+function getLimits(action, key) {
+  const { delay, lock, lockDuration } = POLICIES[action]
+  const factor = key.startsWith('ip:') ? IP_FACTOR : 1
+
+  return { delay: delay * factor, lock: lock * factor, lockDuration }
+}
+
+// Build the keys used to track the attempts of an account from a client.
+function getAttemptKeys(client, account) {
+  const keys = [`account:${account.toString().toLowerCase()}`]
+  if (client?.ip) {
+    keys.push(`ip:${client.ip}`)
+  }
+
+  return keys
+}
+
+// Check whether a new attempt is allowed for all the specified keys,
+// throwing an error with the number of seconds to wait otherwise.
+async function checkAttempts(models, action, keys) {
+  const { Attempt } = models
+
+  const now = DateTime.now()
+  const attempts = await Attempt.find(
+    { action, key: { $in: keys } },
+    'count key last locked'
+  ).lean()
+
+  for (const attempt of attempts) {
+    const { delay } = getLimits(action, attempt.key)
+
+    if (attempt.locked && now < DateTime.fromJSDate(attempt.locked)) {
+      throw new UserInputError('ACCOUNT_LOCKED', {
+        lockedUntil: attempt.locked,
+        retryAfter: Math.ceil(
+          DateTime.fromJSDate(attempt.locked).diff(now).as('seconds')
+        ),
+      })
+    }
+
+    if (!attempt.locked && attempt.count >= delay) {
+      const next = DateTime.fromJSDate(attempt.last).plus({
+        seconds: 2 ** (attempt.count - delay),
+      })
+      if (now < next) {
+        throw new UserInputError('TOO_MANY_ATTEMPTS', {
+          retryAfter: Math.ceil(next.diff(now).as('seconds')),
+        })
+      }
+    }
+  }
+}
+
+// Clear the attempts recorded for the specified keys.
+async function clearAttempts(models, action, keys) {
+  const { Attempt } = models
+
+  const filter = { key: { $in: keys } }
+  if (action) {
+    filter.action = action
+  }
+
+  await Attempt.deleteMany(filter)
+}
+
+// Increment the attempts counted for a key, creating them if needed,
+// and retrying once when a concurrent attempt created them first.
+async function incrementAttempt(models, action, key, now) {
+  const { Attempt } = models
+
+  const increment = async () =>
+    await Attempt.findOneAndUpdate(
+      { action, key },
+      {
+        $inc: { count: 1 },
+        $set: {
+          expires: now.plus({ days: 1 }).toJSDate(),
+          last: now.toJSDate(),
+        },
+      },
+      { new: true, upsert: true }
+    ).lean()
+
+  try {
+    return await increment()
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err
+    }
+    return await increment()
+  }
+}
+
+// Record a new attempt for all the specified keys, locking those
+// which reached their limit, and return the newly locked attempts.
+// Every step is atomic, so that concurrent attempts are all counted
+// and that a key is only locked once.
+async function recordAttempt(models, action, keys) {
+  const { Attempt } = models
+
+  const now = DateTime.now()
+  const locked = []
+
+  for (const key of keys) {
+    const { lock, lockDuration } = getLimits(action, key)
+
+    // Start counting again once a previous lock has expired.
+    await Attempt.updateOne(
+      { action, key, locked: { $lte: now.toJSDate() } },
+      { $set: { count: 0 }, $unset: { locked: '', unlockToken: '' } }
+    )
+
+    const attempt = await incrementAttempt(models, action, key, now)
+    if (attempt.locked || attempt.count < lock) {
+      continue
+    }
+
+    const lockedAttempt = await Attempt.findOneAndUpdate(
+      { _id: attempt._id, locked: { $exists: false } },
+      {
+        $set: {
+          locked: now.plus(lockDuration).toJSDate(),
+          unlockToken: generateToken().token,
+        },
+      },
+      { new: true }
+    ).lean()
+    if (lockedAttempt) {
+      locked.push(lockedAttempt)
+    }
+  }
+
+  return locked
+}
+
+export { checkAttempts, clearAttempts, getAttemptKeys, recordAttempt }
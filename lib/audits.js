@@ -0,0 +1,57 @@
+import Bugsnag from '@bugsnag/js'
+
+const SENSITIVE_VARIABLES = /^(code|image)$|password|secret|token/i
+
+// Remove the sensitive values, such as passwords, from variables to be logged.
+function cleanVariables(variables) {
+  if (Array.isArray(variables)) {
+    return variables.map(cleanVariables)
+  }
+  if (variables && typeof variables === 'object') {
+    return Object.fromEntries(
+      Object.entries(variables).map(([key, value]) => [
+        key,
+        SENSITIVE_VARIABLES.test(key) ? '[REDACTED]' : cleanVariables(value),
+      ])
+    )
+  }
+
+  return variables
+}
+
+// Log an action made by an admin while impersonating a user.
+async function logAudit(models, entry) {
+  const { Audit } = models
+
+  await Audit.create({
+    ...entry,
+    variables: entry.variables ? cleanVariables(entry.variables) : undefined,
+  })
+}
+
+// Apollo server plugin logging every mutation made while impersonating a user.
+const auditPlugin = () => ({
+  requestDidStart: async () => ({
+    async willSendResponse({ context, errors, operation, request }) {
+      const { models, user } = context
+      if (!user?.impersonator || operation?.operation !== 'mutation') {
+        return
+      }
+
+      try {
+        await logAudit(models, {
+          fields: operation.selectionSet.selections.map((s) => s.name?.value),
+          impersonator: user.impersonator,
+          operation: request.operationName ?? operation.name?.value,
+          success: !errors?.length,
+          user: user.id,
+          variables: request.variables,
+        })
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+    },
+  }),
+})
+
+export { auditPlugin, logAudit }
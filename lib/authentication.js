@@ -0,0 +1,125 @@
+import Bugsnag from '@bugsnag/js'
+
+import { getLDAPMappedRoles, getLDAPProfile } from './ldap.js'
+
+const USER_FIELDS =
+  '_id additionalProvidersData deactivated email emailConfirmed password provider providerData roles salt twoFactorEnabled username'
+
+// Authenticate a user against the LDAP directory, linking the entry
+// to an existing user or creating a new one on his/her first sign in.
+async function authenticateLDAP({ env, models }, usernameOrEmail, password) {
+  const { User } = models
+
+  const profile = await getLDAPProfile(env, usernameOrEmail, password)
+  if (!profile) {
+    return null
+  }
+
+  // Find a user who is either already linked to this entry
+  // or who has the same email address.
+  const filter = [
+    { provider: 'ldap', 'providerData.dn': profile.dn },
+    { 'additionalProvidersData.ldap.dn': profile.dn },
+  ]
+  if (profile.email) {
+    filter.push({ email: profile.email.toLowerCase() })
+  }
+  let user = await User.findOne({ $or: filter }, USER_FIELDS)
+
+  // Link the entry to the existing user.
+  if (user && user.provider !== 'ldap' && !user.additionalProvidersData?.ldap) {
+    user.additionalProvidersData = {
+      ...user.additionalProvidersData,
+      ldap: { dn: profile.dn },
+    }
+  }
+  if (user && !user.emailConfirmed) {
+    user.emailConfirmed = new Date()
+  }
+
+  // Create a new user for this entry, without any email address
+  // if the entry has none, so as not to clash with other such users.
+  const isNew = !user
+  if (isNew) {
+    user = new User({
+      emailConfirmed: new Date(),
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      provider: 'ldap',
+      providerData: { dn: profile.dn },
+    })
+    user.email = profile.email || undefined
+    if (
+      profile.username &&
+      !(await User.exists({ username: profile.username.toLowerCase() }))
+    ) {
+      user.username = profile.username
+    }
+  }
+
+  // Synchronise the roles mapped from the groups of the entry, granting
+  // those of its groups and revoking the other ones that are mapped.
+  const mapped = getLDAPMappedRoles(env)
+  const roles = [
+    ...user.roles.filter((role) => !mapped.includes(role)),
+    ...profile.roles,
+  ]
+  if (
+    roles.length !== user.roles.length ||
+    roles.some((role) => !user.roles.includes(role))
+  ) {
+    user.roles = roles
+  }
+
+  return { isNew, user }
+}
+
+// Authenticate a user with his/her local password.
+async function authenticateLocal({ models }, usernameOrEmail, password) {
+  const { User } = models
+
+  const user = await User.findOne(
+    {
+      $or: [{ email: usernameOrEmail }, { username: usernameOrEmail }],
+    },
+    USER_FIELDS
+  )
+  if (!user?.password || !user.authenticate(password)) {
+    return null
+  }
+
+  return { isNew: false, user }
+}
+
+const backends = {
+  ldap: authenticateLDAP,
+  local: authenticateLocal,
+}
+
+// Authenticate a user with the backends listed in AUTH_BACKENDS,
+// trying them in order until one of them accepts the credentials.
+async function authenticate(context, usernameOrEmail, password) {
+  const names = (context.env.AUTH_BACKENDS ?? 'local')
+    .split(',')
+    .map((name) => name.trim())
+
+  for (const name of names) {
+    const backend = backends[name]
+    if (!backend) {
+      continue
+    }
+
+    try {
+      const result = await backend(context, usernameOrEmail, password)
+      if (result) {
+        return result
+      }
+    } catch (err) {
+      Bugsnag.notify(err)
+    }
+  }
+
+  return null
+}
+
+export { authenticate }
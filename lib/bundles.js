@@ -0,0 +1,369 @@
+import fs from 'fs-extra'
+import path from 'path'
+
+import { readImage } from './images.js'
+
+// Format and version of the course bundles,
+// to be increased whenever their structure changes.
+const BUNDLE_FORMAT = 'tlca-course'
+const BUNDLE_VERSION = 1
+
+const ASSESSMENT_FIELDS = [
+  'category',
+  'code',
+  'description',
+  'end',
+  'evaluationRequest',
+  'group',
+  'hidden',
+  'incremental',
+  'instances',
+  'load',
+  'name',
+  'oralDefense',
+  'phased',
+  'provider',
+  'providerConfig',
+  'requireEvaluationRequestURL',
+  'start',
+  'takes',
+]
+const COMPETENCY_FIELDS = [
+  'code',
+  'description',
+  'learningOutcomes',
+  'name',
+  'public',
+  'tags',
+  'type',
+]
+const COURSE_FIELDS = [
+  'code',
+  'colophon',
+  'description',
+  'field',
+  'language',
+  'load',
+  'name',
+  'progressGuide',
+  'schedule',
+  'span',
+  'tags',
+  'type',
+  'visibility',
+]
+
+// Copy the specified fields of an object, leaving out the undefined ones.
+function pick(obj, fields) {
+  return Object.fromEntries(
+    fields.filter((f) => obj[f] !== undefined).map((f) => [f, obj[f]])
+  )
+}
+
+// Replace the competencies of an assessment (or of one of its phases)
+// by their codes, or the codes by the identifiers of the competencies.
+function mapCompetencies(competencies, map) {
+  return competencies?.map(({ competency, ...c }) => ({
+    ...c,
+    competency: map(competency),
+  }))
+}
+
+// Build a portable bundle of a course, referencing competencies,
+// partners and users by their code or username instead of their identifier.
+async function exportCourseBundle(models, course) {
+  const { Assessment, Competency, Partner, User } = models
+
+  // Retrieve the competencies used by the course.
+  const competencies = await Competency.find(
+    { _id: { $in: course.competencies.map((c) => c.competency) } },
+    COMPETENCY_FIELDS.join(' ')
+  ).lean()
+  const codes = Object.fromEntries(
+    competencies.map((c) => [c._id.toString(), c.code])
+  )
+  const getCode = (id) => codes[id.toString()]
+
+  // Retrieve the usernames of the teachers and supervisors.
+  const userIds = [
+    ...(course.teachers ?? []),
+    ...(course.groups?.teaching ?? []).map((g) => g.supervisor),
+  ]
+  const users = await User.find({ _id: { $in: userIds } }, 'username').lean()
+  const getUsername = (id) =>
+    users.find((u) => u._id.toString() === id.toString())?.username
+
+  const partners = await Partner.find(
+    { _id: { $in: course.partners ?? [] } },
+    'code'
+  ).lean()
+
+  // Retrieve the assessments of the course.
+  const assessments = await Assessment.find({ course: course._id })
+    .sort({ created: 1 })
+    .lean()
+
+  // Embed the banner of the course, if any.
+  let banner
+  if (course.banner) {
+    const filename = path.basename(course.banner)
+    const bannerPath = path.join(
+      process.env.BANNER_DIRECTORY,
+      'courses',
+      course._id.toString(),
+      'banner',
+      filename
+    )
+    if (await fs.pathExists(bannerPath)) {
+      banner = {
+        content: (await fs.readFile(bannerPath)).toString('base64'),
+        filename,
+      }
+    }
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported: new Date(),
+    course: {
+      ...pick(course, COURSE_FIELDS),
+      competencies: mapCompetencies(course.competencies, getCode),
+      groups: course.groups && {
+        teaching: course.groups.teaching?.map((g) => ({
+          name: g.name,
+          supervisor: getUsername(g.supervisor),
+        })),
+        working: course.groups.working,
+      },
+      partners: partners.map((p) => p.code),
+      teachers: course.teachers?.map(getUsername).filter((t) => t),
+    },
+    competencies: competencies.map((c) => pick(c, COMPETENCY_FIELDS)),
+    assessments: assessments.map((a) => ({
+      ...pick(a, ASSESSMENT_FIELDS),
+      competencies: mapCompetencies(a.competencies, getCode),
+      phases: a.phases?.map((p) => ({
+        ...p,
+        competencies: mapCompetencies(p.competencies, getCode),
+      })),
+    })),
+    banner,
+  }
+}
+
+// Parse the content of a bundle and check its format and version.
+function parseCourseBundle(content) {
+  let bundle
+  try {
+    bundle = JSON.parse(Buffer.from(content, 'base64').toString())
+  } catch (_err) {
+    return null
+  }
+
+  if (
+    bundle?.format !== BUNDLE_FORMAT ||
+    bundle.version > BUNDLE_VERSION ||
+    !bundle.course
+  ) {
+    return null
+  }
+
+  return bundle
+}
+
+// Check whether an existing competency has the same definition
+// as the one found in a bundle.
+function isSameCompetency(competency, definition) {
+  const outcomes = (c) =>
+    JSON.stringify((c.learningOutcomes ?? []).map((lo) => lo.name))
+
+  return (
+    competency.name === definition.name &&
+    outcomes(competency) === outcomes(definition)
+  )
+}
+
+// Build a new course, with its assessments and missing competencies,
+// from a bundle, reporting the conflicts that have been encountered.
+// The documents are only saved once all of them have been validated.
+async function importCourseBundle(models, user, bundle, code) {
+  const { Assessment, Competency, Course, Partner, User } = models
+
+  const conflicts = []
+  const addConflict = (type, reference, reason) => {
+    if (!conflicts.some((c) => c.type === type && c.reference === reference)) {
+      conflicts.push({ reason, reference, type })
+    }
+  }
+
+  // Resolve the competencies by their code, creating the missing ones.
+  const competencies = {}
+  const newCompetencies = []
+  const definitions = bundle.competencies ?? []
+  for (const definition of definitions) {
+    const competency = await Competency.findOne(
+      { code: definition.code },
+      'code learningOutcomes name'
+    ).lean()
+
+    if (competency) {
+      if (!isSameCompetency(competency, definition)) {
+        addConflict('competency', definition.code, 'DIFFERENT_DEFINITION')
+      }
+      competencies[definition.code] = competency._id
+    } else {
+      const competency = new Competency({ ...definition, user: user.id })
+      newCompetencies.push(competency)
+      competencies[definition.code] = competency._id
+    }
+  }
+  const getId = (code) => {
+    if (!competencies[code]) {
+      addConflict('competency', code, 'UNKNOWN_COMPETENCY')
+    }
+    return competencies[code]
+  }
+
+  // Remap the teachers, the supervisors and the partners.
+  const findUser = async (username) =>
+    (await User.exists({ username }))?._id ?? null
+  const { groups, partners, teachers } = bundle.course
+
+  const teacherIds = []
+  for (const username of teachers ?? []) {
+    const id = await findUser(username)
+    if (id) {
+      teacherIds.push(id)
+    } else {
+      addConflict('teacher', username, 'UNKNOWN_USER')
+    }
+  }
+
+  const teachingGroups = []
+  for (const group of groups?.teaching ?? []) {
+    const id = group.supervisor && (await findUser(group.supervisor))
+    if (id) {
+      teachingGroups.push({ ...group, supervisor: id })
+    } else {
+      addConflict('supervisor', group.supervisor ?? '', 'UNKNOWN_USER')
+    }
+  }
+
+  const partnerIds = []
+  for (const partnerCode of partners ?? []) {
+    const partner = await Partner.exists({ code: partnerCode })
+    if (partner) {
+      partnerIds.push(partner._id)
+    } else {
+      addConflict('partner', partnerCode, 'UNKNOWN_PARTNER')
+    }
+  }
+
+  // Check whether the code of the course is still available.
+  const courseCode = code ?? bundle.course.code
+  if (await Course.exists({ code: courseCode })) {
+    addConflict('course', courseCode, 'EXISTING_CODE')
+    return { competencies: [], conflicts, course: null }
+  }
+
+  // Build the course and its assessments.
+  const course = new Course({
+    ...pick(bundle.course, COURSE_FIELDS),
+    code: courseCode,
+    competencies: mapCompetencies(bundle.course.competencies, getId),
+    coordinator: user.id,
+    groups:
+      teachingGroups.length || groups?.working?.length
+        ? {
+            teaching: teachingGroups.length ? teachingGroups : undefined,
+            working: groups?.working?.length ? groups.working : undefined,
+          }
+        : undefined,
+    partners: partnerIds.length ? partnerIds : undefined,
+    teachers: teacherIds.length ? teacherIds : undefined,
+    user: user.id,
+  })
+
+  const assessments = (bundle.assessments ?? []).map(
+    (a) =>
+      new Assessment({
+        ...pick(a, ASSESSMENT_FIELDS),
+        competencies: mapCompetencies(a.competencies, getId),
+        course: course._id,
+        phases: a.phases?.map((p) => ({
+          ...p,
+          competencies: mapCompetencies(p.competencies, getId),
+        })),
+        user: user.id,
+      })
+  )
+
+  // Stop if a competency could not be resolved.
+  if (conflicts.some((c) => c.reason === 'UNKNOWN_COMPETENCY')) {
+    return { competencies: [], conflicts, course: null }
+  }
+
+  // Check the banner of the course, if any, as any uploaded image,
+  // the course being imported without it if it is not valid.
+  let banner = null
+  if (bundle.banner?.content) {
+    try {
+      banner = await readImage(bundle.banner.content)
+    } catch (err) {
+      addConflict('banner', bundle.banner.filename ?? '', err.message)
+    }
+  }
+
+  // Validate all the documents before saving any of them.
+  const documents = [...newCompetencies, course, ...assessments]
+  for (const document of documents) {
+    await document.validate()
+  }
+
+  const saved = []
+  const coursePath = path.join(
+    process.env.BANNER_DIRECTORY,
+    'courses',
+    course._id.toString()
+  )
+  try {
+    for (const document of documents) {
+      await document.save()
+      saved.push(document)
+    }
+
+    // Restore the banner of the course, under a new name.
+    if (banner) {
+      const filename = `${Date.now()}.${banner.getExtension()}`
+      await fs.mkdirp(path.join(coursePath, 'banner'))
+      await fs.writeFile(
+        path.join(coursePath, 'banner', filename),
+        bundle.banner.content,
+        'base64'
+      )
+      course.banner = filename
+      await course.save()
+    }
+  } catch (err) {
+    // Remove everything that has been created, not to leave a partial import.
+    for (const document of saved.reverse()) {
+      await document.delete()
+    }
+    await fs.remove(coursePath)
+    throw err
+  }
+
+  return {
+    competencies: newCompetencies.map((c) => c.code),
+    conflicts,
+    course,
+  }
+}
+
+export {
+  BUNDLE_VERSION,
+  exportCourseBundle,
+  importCourseBundle,
+  parseCourseBundle,
+}
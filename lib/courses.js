@@ -1,4 +1,5 @@
 import { DateTime } from 'luxon'
+import mongoose from 'mongoose'
 
 function canEnroll(course, now) {
   const events = []
@@ -61,6 +62,188 @@ function canUpdateGroup(course, now) {
   )
 }
 
+// Clone a course and its assessments under a new code, for a given user.
+// The 'transform' callback can adapt the clones before they get saved.
+async function duplicateCourse(models, course, user, code, transform) {
+  const { Assessment } = models
+
+  const assessments = await Assessment.find({ course: course._id })
+  return await copyCourse(models, course, assessments, user, code, transform)
+}
+
+// Create a new course and its assessments from the content of a course,
+// which can also be a snapshot of it, under a new code, for a given user.
+async function copyCourse(models, course, assessments, user, code, transform) {
+  const { Assessment, Course } = models
+
+  const clone = new Course(course)
+  clone.isNew = true
+
+  clone.published = undefined
+  clone.started = undefined
+  clone.closed = undefined
+  clone.archived = undefined
+  clone.transitions = undefined
+  clone.waivers = undefined
+
+  clone._id = new mongoose.Types.ObjectId()
+  clone.clonedFrom = course._id
+  clone.code = code
+  clone.created = new Date()
+  clone.user = new mongoose.Types.ObjectId(user.id)
+
+  // Clone the assessments of the course.
+  const clones = assessments.map((assessment) => {
+    const clone = new Assessment(assessment)
+    clone.isNew = true
+
+    clone._id = new mongoose.Types.ObjectId()
+    clone.clonedFrom = assessment._id
+    clone.created = new Date()
+    clone.user = new mongoose.Types.ObjectId(user.id)
+
+    return clone
+  })
+  for (const assessment of clones) {
+    assessment.course = clone._id
+  }
+
+  if (transform) {
+    transform(clone, clones)
+  }
+
+  // Save the course and its assessments into the database.
+  const savedCourse = await clone.save()
+  await Promise.all(clones.map(async (a) => await a.save()))
+
+  return savedCourse
+}
+
+// Build the aggregation stages selecting the courses that a user can see,
+// according to their visibility and status and to the roles of the user,
+// possibly restricted to a given view (coordinator, student, teacher or user).
+function getVisibleCoursesPipeline(user, view) {
+  const pipeline = []
+
+  // Basically, can only retrieve courses that are:
+  // with the 'public' or invite-only' visibilities,
+  // and with the 'published' status.
+  const filter = {
+    $or: [
+      {
+        $and: [
+          { published: { $exists: true } },
+          { archived: { $exists: false } },
+          {
+            $or: [{ visibility: 'public' }, { visibility: 'invite-only' }],
+          },
+        ],
+      },
+    ],
+  }
+
+  // If a user is connected,
+  // adjust the filter according to his/her roles.
+  if (user && view !== 'user') {
+    const { roles } = user
+    const userId = new mongoose.Types.ObjectId(user.id)
+
+    // Teachers can also access their own courses
+    // no matter their status or visibility.
+    if (roles.includes('teacher')) {
+      filter.$or.push({ coordinator: userId }, { teachers: userId })
+    }
+
+    // Staff members can also access the courses they assist with
+    // no matter their status or visibility.
+    filter.$or.push({ 'staff.user': userId })
+
+    // Students can also access the courses they are registered to
+    // no matter their status or visibility.
+    if (roles.includes('student')) {
+      pipeline.push(
+        {
+          $lookup: {
+            from: 'registrations',
+            localField: '_id',
+            foreignField: 'course',
+            as: 'registrations',
+          },
+        },
+        {
+          $addFields: {
+            isRegistered: {
+              $anyElementTrue: {
+                $map: {
+                  input: '$registrations',
+                  as: 'registration',
+                  in: {
+                    $and: [
+                      { $eq: ['$$registration.user', userId] },
+                      {
+                        $eq: [
+                          { $type: '$$registration.invitation' },
+                          'missing',
+                        ],
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+          },
+        }
+      )
+
+      filter.$or.push({ isRegistered: true })
+    }
+
+    // Admin can access to all the courses.
+    if (roles.includes('admin')) {
+      delete filter.$or
+    }
+
+    // If the view argument is defined,
+    // adjust the filter according to it.
+    if (view) {
+      switch (view) {
+        case 'coordinator':
+          filter.$or = [{ coordinator: userId }]
+          break
+
+        case 'student':
+          filter.$or = [{ isRegistered: true }]
+          break
+
+        case 'teacher':
+          filter.$or = [
+            {
+              $and: [
+                { published: { $exists: true } },
+                {
+                  $or: [
+                    { coordinator: userId },
+                    { teachers: userId },
+                    { 'staff.user': userId },
+                  ],
+                },
+              ],
+            },
+          ]
+          break
+      }
+    }
+  }
+
+  // Only set the defined filter when no user is connected,
+  // or if the connected one has not the admin role.
+  if (!user || !user.roles.includes('admin')) {
+    pipeline.push({ $match: filter })
+  }
+
+  return pipeline
+}
+
 function isCoordinator(courseOrProgram, user) {
   const userId = user?.id
   const coordinator = courseOrProgram.coordinator
@@ -72,4 +255,12 @@ function isTeacher(course, user) {
   return !!course.teachers?.some((t) => (t._id || t).toString() === userId)
 }
 
-export { canEnroll, canUpdateGroup, isCoordinator, isTeacher }
+export {
+  canEnroll,
+  canUpdateGroup,
+  copyCourse,
+  duplicateCourse,
+  getVisibleCoursesPipeline,
+  isCoordinator,
+  isTeacher,
+}
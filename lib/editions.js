@@ -0,0 +1,303 @@
+import { isStaffMember } from './permissions.js'
+
+const ASSESSMENT_FIELDS = [
+  'category',
+  'code',
+  'description',
+  'end',
+  'evaluationRequest',
+  'group',
+  'incremental',
+  'instances',
+  'load.defense',
+  'load.grading',
+  'load.work',
+  'name',
+  'oralDefense',
+  'phased',
+  'start',
+  'takes',
+]
+const ASSESSMENT_COMPETENCY_FIELDS = [
+  'learningOutcomes',
+  'maxStars',
+  'optional',
+  'stars',
+]
+const COURSE_COMPETENCY_FIELDS = [
+  'category',
+  'subcategory',
+  'useLearningOutcomes',
+]
+const LOAD_FIELDS = ['ects', 'practice', 'theory', 'type', 'weekload']
+const SCHEDULE_FIELDS = [
+  'end',
+  'evaluationRequestsEnd',
+  'evaluationsEnd',
+  'registrationsEnd',
+  'registrationsStart',
+  'start',
+]
+
+// Retrieve the value of a possibly nested field, such as 'load.work'.
+function getValue(obj, field) {
+  return field.split('.').reduce((o, f) => o?.[f], obj)
+}
+
+// Convert a value into a string so that it can be compared and displayed.
+function formatValue(value) {
+  if (value === undefined || value === null) {
+    return null
+  }
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+
+  return `${value}`
+}
+
+// List the fields whose value differ between two objects.
+function diffFields(a, b, fields) {
+  return fields
+    .map((field) => ({
+      after: formatValue(getValue(b, field)),
+      before: formatValue(getValue(a, field)),
+      field,
+    }))
+    .filter((c) => c.after !== c.before)
+}
+
+// Get the status of an element present in 'a', in 'b' or in both of them.
+function getStatus(a, b, changed) {
+  if (!a) {
+    return 'added'
+  }
+  if (!b) {
+    return 'removed'
+  }
+
+  return changed ? 'changed' : 'unchanged'
+}
+
+// Pair the elements of two lists according to a key computed for each of them.
+function pair(listA, listB, getKey) {
+  const keys = [...new Set([...listA, ...listB].map(getKey))]
+
+  return keys.map((key) => [
+    key,
+    listA.find((e) => getKey(e) === key),
+    listB.find((e) => getKey(e) === key),
+  ])
+}
+
+// Keep the competencies whose referenced competency still exists.
+function existing(competencies) {
+  return (competencies ?? []).filter((c) => c.competency)
+}
+
+// Compare the competencies of two courses, identified by their code.
+function diffCourseCompetencies(a, b) {
+  return pair(existing(a), existing(b), (c) => c.competency.code).map(
+    ([code, ca, cb]) => {
+      const changes =
+        ca && cb ? diffFields(ca, cb, COURSE_COMPETENCY_FIELDS) : []
+      return { changes, code, status: getStatus(ca, cb, changes.length > 0) }
+    }
+  )
+}
+
+// List the competencies of an assessment, together with the phase they are in.
+function getAssessmentCompetencies(assessment) {
+  if (!assessment?.phased) {
+    return existing(assessment?.competencies).map((c) => ({
+      ...c,
+      phase: null,
+    }))
+  }
+
+  return (assessment.phases ?? []).flatMap((p) =>
+    existing(p.competencies).map((c) => ({ ...c, phase: p.name }))
+  )
+}
+
+// Compare the competencies of two assessments, with their checklists.
+function diffAssessmentCompetencies(a, b) {
+  const checklists = []
+  const competencies = pair(
+    getAssessmentCompetencies(a),
+    getAssessmentCompetencies(b),
+    (c) => `${c.phase ?? ''}/${c.competency.code}`
+  ).map(([_key, ca, cb]) => {
+    const { competency, phase } = ca ?? cb
+
+    // Compare the public and private checklists item by item.
+    for (const visibility of ['private', 'public']) {
+      const itemsA = ca?.checklist?.[visibility] ?? []
+      const itemsB = cb?.checklist?.[visibility] ?? []
+      const added = itemsB.filter((i) => !itemsA.includes(i))
+      const removed = itemsA.filter((i) => !itemsB.includes(i))
+      if (added.length || removed.length) {
+        checklists.push({
+          added,
+          competency: competency.code,
+          phase,
+          removed,
+          visibility,
+        })
+      }
+    }
+
+    const changes =
+      ca && cb ? diffFields(ca, cb, ASSESSMENT_COMPETENCY_FIELDS) : []
+    return {
+      changes,
+      code: competency.code,
+      phase,
+      status: getStatus(ca, cb, changes.length > 0),
+    }
+  })
+
+  return { checklists, competencies }
+}
+
+// Find the assessment of the other course corresponding to a given one,
+// following the clone lineage first and falling back on its code or name.
+function findCounterpart(assessment, assessments) {
+  const id = assessment._id.toString()
+
+  return (
+    assessments.find(
+      (a) =>
+        a.clonedFrom?.toString() === id ||
+        assessment.clonedFrom?.toString() === a._id.toString()
+    ) ??
+    assessments.find((a) => assessment.code && a.code === assessment.code) ??
+    assessments.find((a) => a.name === assessment.name)
+  )
+}
+
+// Compare the assessments of two courses.
+function diffAssessments(assessmentsA, assessmentsB) {
+  const diffs = []
+  const matched = new Set()
+
+  for (const a of assessmentsA) {
+    const b = findCounterpart(
+      a,
+      assessmentsB.filter((b) => !matched.has(b))
+    )
+    if (b) {
+      matched.add(b)
+    }
+    diffs.push([a, b])
+  }
+  for (const b of assessmentsB.filter((b) => !matched.has(b))) {
+    diffs.push([undefined, b])
+  }
+
+  return diffs.map(([a, b]) => {
+    const { checklists, competencies } = diffAssessmentCompetencies(a, b)
+    const changes = a && b ? diffFields(a, b, ASSESSMENT_FIELDS) : []
+    const status = getStatus(
+      a,
+      b,
+      changes.length > 0 ||
+        checklists.length > 0 ||
+        competencies.some((c) => c.status !== 'unchanged')
+    )
+
+    return {
+      changes,
+      checklists,
+      code: (b ?? a).code,
+      competencies,
+      name: (b ?? a).name,
+      status,
+    }
+  })
+}
+
+// Compare two courses, typically two editions of the same course,
+// comparing their competencies, assessments, load and schedule.
+async function compareCourses(models, courseA, courseB) {
+  const { Assessment } = models
+
+  const populate = {
+    path: 'competencies.competency phases.competencies.competency',
+    select: 'code',
+    model: 'Competency',
+  }
+  const [assessmentsA, assessmentsB] = await Promise.all(
+    [courseA, courseB].map(
+      async (course) =>
+        await Assessment.find({ course: course._id })
+          .sort({ created: 1 })
+          .populate(populate)
+          .lean()
+    )
+  )
+
+  return {
+    assessments: diffAssessments(assessmentsA, assessmentsB),
+    competencies: diffCourseCompetencies(
+      courseA.competencies,
+      courseB.competencies
+    ),
+    courseA,
+    courseB,
+    load: diffFields(courseA.load ?? {}, courseB.load ?? {}, LOAD_FIELDS),
+    schedule: diffFields(
+      courseA.schedule ?? {},
+      courseB.schedule ?? {},
+      SCHEDULE_FIELDS
+    ),
+  }
+}
+
+// Retrieve all the other editions of a course that a user can see, that is,
+// all the courses of its clone lineage, walking it down from the course
+// it derives from, which are published, not archived and not private,
+// unless the user is a member of their staff.
+async function getEditions(models, course, user) {
+  const { Course } = models
+
+  // Walk up the lineage to its root through the 'clonedFrom' references.
+  let root = course
+  const ancestors = new Set([course._id.toString()])
+  while (root.clonedFrom && !ancestors.has(root.clonedFrom.toString())) {
+    ancestors.add(root.clonedFrom.toString())
+    const parent = await Course.findOne({ _id: root.clonedFrom })
+    if (!parent) {
+      break
+    }
+    root = parent
+  }
+
+  // Walk down the whole lineage, level by level, through the clones.
+  const editions = [root]
+  const visited = new Set([root._id.toString()])
+  let parents = [root._id]
+  while (parents.length) {
+    const clones = await Course.find({
+      _id: { $nin: [...visited] },
+      clonedFrom: { $in: parents },
+    })
+    clones.forEach((c) => visited.add(c._id.toString()))
+    editions.push(...clones)
+    parents = clones.map((c) => c._id)
+  }
+
+  return editions
+    .filter((e) => !e._id.equals(course._id))
+    .filter(
+      (e) =>
+        isStaffMember(e, user) ||
+        (e.published && !e.archived && e.visibility !== 'private')
+    )
+    .sort((a, b) => a.created - b.created)
+}
+
+export { compareCourses, getEditions }
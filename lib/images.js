@@ -0,0 +1,79 @@
+import { UserInputError } from 'apollo-server'
+import Jimp from 'jimp'
+
+// Limits on the uploaded images, in bytes and in pixels once decoded,
+// so that a small but highly compressed image cannot exhaust the memory.
+const IMAGE_MAX_PIXELS = 25 * 1000 * 1000
+const IMAGE_MAX_SIZE = 5 * 1024 * 1024
+const IMAGE_TYPES = [Jimp.MIME_GIF, Jimp.MIME_JPEG, Jimp.MIME_PNG]
+
+// Start of frame markers of JPEG images, which contain their dimensions.
+const JPEG_SOF_MARKERS = [
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]
+
+// Read the dimensions of a GIF, JPEG or PNG image from its header,
+// without decoding it, or return null if they cannot be found.
+function getImageDimensions(buffer) {
+  // PNG images start with a signature followed by the IHDR chunk.
+  if (
+    buffer.length >= 24 &&
+    buffer.readUInt32BE(0) === 0x89504e47 &&
+    buffer.toString('ascii', 12, 16) === 'IHDR'
+  ) {
+    return { height: buffer.readUInt32BE(20), width: buffer.readUInt32BE(16) }
+  }
+
+  // GIF images start with a signature followed by the logical screen size.
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { height: buffer.readUInt16LE(8), width: buffer.readUInt16LE(6) }
+  }
+
+  // JPEG images are made of segments, one of which is the start of frame.
+  if (buffer.length >= 4 && buffer.readUInt16BE(0) === 0xffd8) {
+    let offset = 2
+    while (offset + 9 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1]
+      if (JPEG_SOF_MARKERS.includes(marker)) {
+        return {
+          height: buffer.readUInt16BE(offset + 5),
+          width: buffer.readUInt16BE(offset + 7),
+        }
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2)
+    }
+  }
+
+  return null
+}
+
+// Check the size, the type and the dimensions of a base64-encoded image
+// before decoding it, and return the decoded image.
+async function readImage(data) {
+  const buffer = Buffer.from(data, 'base64')
+  if (buffer.length > IMAGE_MAX_SIZE) {
+    throw new UserInputError('IMAGE_TOO_LARGE')
+  }
+
+  const dimensions = getImageDimensions(buffer)
+  if (!dimensions) {
+    throw new UserInputError('INVALID_IMAGE_TYPE')
+  }
+  if (dimensions.width * dimensions.height > IMAGE_MAX_PIXELS) {
+    throw new UserInputError('IMAGE_TOO_LARGE')
+  }
+
+  let image
+  try {
+    image = await Jimp.read(buffer)
+  } catch (err) {
+    throw new UserInputError('INVALID_IMAGE_TYPE')
+  }
+  if (!IMAGE_TYPES.includes(image.getMIME())) {
+    throw new UserInputError('INVALID_IMAGE_TYPE')
+  }
+
+  return image
+}
+
+export { getImageDimensions, readImage }
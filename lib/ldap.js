@@ -0,0 +1,122 @@
+import ldap from 'ldapjs'
+
+const ROLES = ['student', 'teacher', 'manager', 'admin']
+
+// Escape a value to be inserted in a search filter (RFC 4515).
+function escapeFilter(value) {
+  return value.replace(
+    /[\\*()\0]/g,
+    (c) => '\\' + c.charCodeAt(0).toString(16).padStart(2, '0')
+  )
+}
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value
+}
+
+// Parse the 'role=groupDN' pairs, separated by semicolons, of LDAP_GROUP_ROLES.
+function getGroupMappings(env) {
+  return (env.LDAP_GROUP_ROLES ?? '')
+    .split(';')
+    .map((mapping) => {
+      const i = mapping.indexOf('=')
+      return [mapping.slice(0, i).trim(), mapping.slice(i + 1).trim()]
+    })
+    .filter(([role]) => ROLES.includes(role))
+}
+
+// Retrieve the TLCA roles that are managed through directory groups.
+function getLDAPMappedRoles(env) {
+  return [...new Set(getGroupMappings(env).map(([role]) => role))]
+}
+
+// Map the groups of a directory entry to TLCA roles.
+function getLDAPRoles(env, groups) {
+  const dns = groups.map((g) => g.toLowerCase())
+
+  return [
+    ...new Set(
+      getGroupMappings(env)
+        .filter(([, dn]) => dns.includes(dn.toLowerCase()))
+        .map(([role]) => role)
+    ),
+  ]
+}
+
+function bind(client, dn, password) {
+  return new Promise((resolve, reject) =>
+    client.bind(dn, password, (err) => (err ? reject(err) : resolve()))
+  )
+}
+
+function search(client, base, options) {
+  return new Promise((resolve, reject) =>
+    client.search(base, options, (err, res) => {
+      if (err) {
+        return reject(err)
+      }
+
+      const entries = []
+      res.on('searchEntry', (entry) => entries.push(entry.object))
+      res.on('error', reject)
+      res.on('end', () => resolve(entries))
+    })
+  )
+}
+
+// Check the credentials of a user against the LDAP directory
+// and retrieve his/her profile, or null if they are invalid.
+async function getLDAPProfile(env, username, password) {
+  if (!env.LDAP_URL || !env.LDAP_SEARCH_BASE || !password) {
+    return null
+  }
+
+  const client = ldap.createClient({
+    connectTimeout: 5000,
+    timeout: 5000,
+    url: env.LDAP_URL,
+  })
+  client.on('error', () => {})
+
+  try {
+    // Find the entry of the user, with the service account if any.
+    if (env.LDAP_BIND_DN) {
+      await bind(client, env.LDAP_BIND_DN, env.LDAP_BIND_PASSWORD)
+    }
+    const filter = (
+      env.LDAP_SEARCH_FILTER ?? '(|(uid={{username}})(mail={{username}}))'
+    ).replaceAll('{{username}}', escapeFilter(username))
+    const entries = await search(client, env.LDAP_SEARCH_BASE, {
+      attributes: ['givenName', 'mail', 'memberOf', 'sn', 'uid'],
+      filter,
+      scope: 'sub',
+    })
+    if (entries.length !== 1) {
+      return null
+    }
+    const entry = entries[0]
+
+    // Check the password by binding with the credentials of the user.
+    try {
+      await bind(client, entry.dn, password)
+    } catch (err) {
+      if (err instanceof ldap.InvalidCredentialsError) {
+        return null
+      }
+      throw err
+    }
+
+    return {
+      dn: entry.dn,
+      email: first(entry.mail),
+      firstName: first(entry.givenName),
+      lastName: first(entry.sn),
+      roles: getLDAPRoles(env, [].concat(entry.memberOf ?? [])),
+      username: first(entry.uid),
+    }
+  } finally {
+    client.destroy()
+  }
+}
+
+export { getLDAPMappedRoles, getLDAPProfile, getLDAPRoles }
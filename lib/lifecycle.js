@@ -0,0 +1,120 @@
+// Statuses of a course along its lifecycle, in order.
+// A course that has not been published yet is a draft.
+const STATUSES = ['unpublished', 'published', 'running', 'closed', 'archived']
+
+// Field of a course stamped with the date it entered each status.
+const STATUS_DATES = {
+  archived: 'archived',
+  closed: 'closed',
+  published: 'published',
+  running: 'started',
+}
+
+// Fields of a course needed to retrieve its status
+// and to check whether it is running.
+const STATUS_FIELDS = 'archived closed published schedule started transitions'
+
+// Refuse to unpublish a course once learners registered to it,
+// or were invited to it, so that they do not lose access to it.
+async function hasNoRegistrations(models, course) {
+  const { Registration } = models
+
+  return (await Registration.exists({ course: course._id }))
+    ? 'EXISTING_REGISTRATIONS'
+    : null
+}
+
+// Refuse to stop a running course once evaluations have been made.
+async function hasNoEvaluations(models, course) {
+  const { Evaluation } = models
+
+  return (await Evaluation.exists({ course: course._id }))
+    ? 'EXISTING_EVALUATIONS'
+    : null
+}
+
+// Transitions between the statuses of a course, with their guards.
+// A guard resolves to the reason why the transition is refused, if any.
+const TRANSITIONS = {
+  archive: { from: ['published', 'running', 'closed'], to: 'archived' },
+  close: { from: ['running'], to: 'closed' },
+  publish: { from: ['unpublished'], to: 'published' },
+  reopen: { from: ['closed'], to: 'running' },
+  start: { from: ['published'], to: 'running' },
+  stop: { from: ['running'], to: 'published', guard: hasNoEvaluations },
+  unarchive: { from: ['archived'], to: 'closed' },
+  unpublish: {
+    from: ['published'],
+    to: 'unpublished',
+    guard: hasNoRegistrations,
+  },
+}
+
+// Retrieve the status of a course from the dates stamped on it.
+function getCourseStatus(course) {
+  for (const status of [...STATUSES].reverse()) {
+    if (course[STATUS_DATES[status]]) {
+      return status
+    }
+  }
+
+  return 'unpublished'
+}
+
+// Check whether a course is running, that is, started and not closed yet,
+// which is required to evaluate its learners. A published course which
+// predates the lifecycle, having never gone through any transition,
+// is running once the start date of its schedule has passed.
+function isRunning(course) {
+  const status = getCourseStatus(course)
+  if (status === 'published' && !course.transitions?.length) {
+    const start = course.schedule?.start
+    return !!start && start <= new Date()
+  }
+
+  return status === 'running'
+}
+
+// Apply a transition to a course, updating its dates and its history,
+// and return the reason why it is refused, if any.
+async function applyTransition(models, course, user, transition) {
+  const { from, guard, to } = TRANSITIONS[transition]
+
+  const status = getCourseStatus(course)
+  if (!from.includes(status)) {
+    return 'INVALID_TRANSITION'
+  }
+
+  const reason = guard && (await guard(models, course))
+  if (reason) {
+    return reason
+  }
+
+  // Stamp the date of the new status, if not already done,
+  // and clear the dates of the statuses that come after it.
+  const now = new Date()
+  const index = STATUSES.indexOf(to)
+  for (const [s, field] of Object.entries(STATUS_DATES)) {
+    if (STATUSES.indexOf(s) > index) {
+      course[field] = undefined
+    } else if (s === to) {
+      course[field] = course[field] ?? now
+    }
+  }
+
+  course.transitions = [
+    ...(course.transitions ?? []),
+    { date: now, from: status, to, user: user.id },
+  ]
+
+  return null
+}
+
+export {
+  applyTransition,
+  getCourseStatus,
+  isRunning,
+  STATUS_FIELDS,
+  STATUSES,
+  TRANSITIONS,
+}
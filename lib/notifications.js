@@ -0,0 +1,68 @@
+import Bugsnag from '@bugsnag/js'
+
+import { escapeHTML } from './utils.js'
+
+// Whether a notification is also sent by email, by default, for each category.
+const EMAIL_DEFAULTS = {
+  announcement: true,
+  'evaluation-published': true,
+  'evaluation-request-accepted': false,
+  'evaluation-request-rejected': true,
+  invitation: true,
+  registration: false,
+}
+
+const SUBJECTS = {
+  announcement: 'New announcement',
+  'evaluation-published': 'New evaluation',
+  'evaluation-request-accepted': 'Evaluation request accepted',
+  'evaluation-request-rejected': 'Evaluation request rejected',
+  invitation: 'Invitation to a course',
+  registration: 'New registration',
+}
+
+// Retrieve the notification preferences of a user, with their default values.
+function getNotificationPreferences(user) {
+  return Object.entries(EMAIL_DEFAULTS).map(([category, email]) => ({
+    category,
+    email: user.notificationPreferences?.[category] ?? email,
+  }))
+}
+
+// Create an in-app notification for a user and also send it by email,
+// according to his/her preferences, possibly with some more HTML content;
+// failures never prevent the action that triggered the notification.
+// The message is plain text, escaped when put into the email.
+async function notify(models, smtpTransport, notification, content = '') {
+  const { Notification, User } = models
+
+  try {
+    await Notification.create(notification)
+
+    const user = await User.findOne(
+      { _id: notification.user },
+      'deleted email notificationPreferences'
+    ).lean()
+    const preference = getNotificationPreferences(user ?? {}).find(
+      (p) => p.category === notification.category
+    )
+    if (!user?.email || user.deleted || !preference?.email) {
+      return
+    }
+
+    await smtpTransport.sendMail({
+      to: user.email,
+      from: 'sebastien@combefis.be',
+      subject: `[TLCA] ${SUBJECTS[notification.category]}`,
+      html:
+        '<p>Hello,</p>' +
+        `<p>${escapeHTML(notification.message)}</p>` +
+        content +
+        '<p>The TLCA team</p>',
+    })
+  } catch (err) {
+    Bugsnag.notify(err)
+  }
+}
+
+export { getNotificationPreferences, notify }
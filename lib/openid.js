@@ -0,0 +1,58 @@
+import { Issuer } from 'openid-client'
+
+let client = null
+
+// Retrieve the OpenID Connect client configured for the identity provider,
+// discovering its metadata the first time it is needed.
+async function getOpenIDClient(env) {
+  if (!env.OIDC_ISSUER || !env.OIDC_CLIENT_ID) {
+    return null
+  }
+
+  if (!client) {
+    const issuer = await Issuer.discover(env.OIDC_ISSUER)
+    client = new issuer.Client({
+      client_id: env.OIDC_CLIENT_ID,
+      client_secret: env.OIDC_CLIENT_SECRET,
+      redirect_uris: env.OIDC_REDIRECT_URI ? [env.OIDC_REDIRECT_URI] : [],
+      response_types: ['code'],
+      token_endpoint_auth_method: env.OIDC_CLIENT_SECRET
+        ? 'client_secret_basic'
+        : 'none',
+    })
+  }
+
+  return client
+}
+
+// Exchange an authorization code against the identity of the user,
+// merging the claims of the ID token with those from the userinfo endpoint.
+async function getOpenIDProfile(
+  env,
+  { code, codeVerifier, nonce, redirectURI }
+) {
+  const client = await getOpenIDClient(env)
+  if (!client) {
+    return null
+  }
+
+  const tokenSet = await client.callback(
+    redirectURI ?? env.OIDC_REDIRECT_URI,
+    { code },
+    { code_verifier: codeVerifier, nonce }
+  )
+  const claims = tokenSet.claims()
+
+  let userinfo = {}
+  if (tokenSet.access_token && client.issuer.userinfo_endpoint) {
+    userinfo = await client.userinfo(tokenSet)
+  }
+
+  return {
+    ...userinfo,
+    ...claims,
+    issuer: client.issuer.issuer,
+  }
+}
+
+export { getOpenIDClient, getOpenIDProfile }
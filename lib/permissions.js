@@ -0,0 +1,86 @@
+// Actions that the staff members of a course may be allowed to perform.
+const ACTIONS = [
+  'evaluate',
+  'manage-announcements',
+  'manage-assessments',
+  'manage-registrations',
+  'publish-evaluations',
+  'view-assessments',
+  'view-registrations',
+]
+
+// Actions permitted to each staff role, unless configured otherwise
+// for a given course. The coordinator is always permitted all of them.
+const DEFAULT_PERMISSIONS = {
+  assistant: ['evaluate', 'view-assessments', 'view-registrations'],
+  grader: ['evaluate', 'view-assessments'],
+  observer: ['view-assessments', 'view-registrations'],
+  teacher: [
+    'evaluate',
+    'manage-announcements',
+    'publish-evaluations',
+    'view-assessments',
+    'view-registrations',
+  ],
+}
+
+// Fields of a course needed to check the permissions of its staff.
+const PERMISSION_FIELDS = 'coordinator permissions staff teachers'
+
+const STAFF_ROLES = Object.keys(DEFAULT_PERMISSIONS)
+
+const getId = (ref) => (ref?._id ?? ref)?.toString()
+
+// Retrieve the role of a user within the staff of a course, if any.
+function getStaffRole(course, user) {
+  const userId = user?.id
+  if (!course || !userId) {
+    return null
+  }
+
+  if (getId(course.coordinator) === userId) {
+    return 'coordinator'
+  }
+  if (course.teachers?.some((t) => getId(t) === userId)) {
+    return 'teacher'
+  }
+
+  return course.staff?.find((m) => getId(m.user) === userId)?.role ?? null
+}
+
+// Retrieve the actions permitted to a staff role of a course.
+function getRolePermissions(course, role) {
+  if (role === 'coordinator') {
+    return ACTIONS
+  }
+
+  return course.permissions?.[role] ?? DEFAULT_PERMISSIONS[role] ?? []
+}
+
+// Retrieve the actions that a user is permitted to perform on a course.
+function getPermissions(course, user) {
+  const role = getStaffRole(course, user)
+  return role ? getRolePermissions(course, role) : []
+}
+
+// Check whether a user is permitted to perform an action on a course.
+function hasPermission(course, user, action) {
+  return getPermissions(course, user).includes(action)
+}
+
+// Check whether a user is a member of the staff of a course.
+function isStaffMember(course, user) {
+  return !!getStaffRole(course, user)
+}
+
+export {
+  ACTIONS,
+  DEFAULT_PERMISSIONS,
+  getPermissions,
+  getRolePermissions,
+  getStaffRole,
+  hasPermission,
+  isStaffMember,
+  PERMISSION_FIELDS,
+  STAFF_ROLES,
+}
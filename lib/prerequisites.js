@@ -0,0 +1,81 @@
+import { computeProgress } from './progress.js'
+
+// Maximal number of stars that can be gained for a competency.
+const MAX_STARS = 5
+
+// Check whether a competency has been acquired according to the progress
+// history of a learner, that is, whether he/she gained the maximal number
+// of stars or acquired all its learning outcomes as many times as required.
+function isAcquired(competency, histories) {
+  const stars = histories.reduce((acc, h) => acc + (h.stars ?? 0), 0)
+  if (stars >= MAX_STARS) {
+    return true
+  }
+
+  const outcomes = competency.learningOutcomes ?? []
+  return (
+    outcomes.length > 0 &&
+    outcomes.every(
+      (lo, i) =>
+        histories.filter((h) => h.learningOutcomes?.includes(i)).length >=
+        (lo.takes ?? 1)
+    )
+  )
+}
+
+// Check whether a learner has been granted a waiver for the prerequisites
+// of a course.
+function hasWaiver(course, userId) {
+  return !!course.waivers?.some((w) => w.user.toString() === userId)
+}
+
+// Retrieve the prerequisites of a course that a learner does not meet,
+// together with his/her current basic progress for the course ones.
+async function getUnmetPrerequisites(models, course, userId) {
+  const { Competency, ProgressHistory, Registration } = models
+
+  if (!course.prerequisites?.length || hasWaiver(course, userId)) {
+    return []
+  }
+
+  const unmet = []
+  for (const prerequisite of course.prerequisites) {
+    if (prerequisite.course) {
+      const isRegistered = await Registration.exists({
+        course: prerequisite.course,
+        invitation: { $exists: false },
+        user: userId,
+      })
+      const basic = isRegistered
+        ? (await computeProgress(models, prerequisite.course, userId)).basic
+        : 0
+
+      // Without any basic competency in the course, the progress is NaN,
+      // in which case the prerequisite cannot be met.
+      const progress = Number.isFinite(basic) ? basic : 0
+      if (progress < prerequisite.progress) {
+        unmet.push({
+          course: prerequisite.course,
+          current: progress,
+          progress: prerequisite.progress,
+        })
+      }
+    } else {
+      const competency = await Competency.findOne(
+        { _id: prerequisite.competency },
+        'learningOutcomes'
+      ).lean()
+      const histories = await ProgressHistory.find(
+        { competency: prerequisite.competency, user: userId },
+        'learningOutcomes stars'
+      ).lean()
+      if (!competency || !isAcquired(competency, histories)) {
+        unmet.push({ competency: prerequisite.competency })
+      }
+    }
+  }
+
+  return unmet
+}
+
+export { getUnmetPrerequisites, hasWaiver }
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose'
+
+// Build the aggregation stages selecting the programs that a user can see,
+// according to their visibility and status and to the roles of the user,
+// possibly restricted to a given view (coordinator, student or user).
+function getVisibleProgramsPipeline(user, view) {
+  const pipeline = []
+
+  // Basically, can only retrieve programs that are:
+  // with the 'public' or invite-only' visibilities,
+  // and with the 'published' status.
+  const filter = {
+    $or: [
+      {
+        $and: [
+          { published: { $exists: true } },
+          { archived: { $exists: false } },
+          {
+            $or: [{ visibility: 'public' }, { visibility: 'invite-only' }],
+          },
+        ],
+      },
+    ],
+  }
+
+  // If a user is connected,
+  // adjust the filter according to his/her roles.
+  if (user && view !== 'user') {
+    const { roles } = user
+    const userId = new mongoose.Types.ObjectId(user.id)
+
+    // Teachers can also access their own programs
+    // no matter their status or visibility.
+    if (roles.includes('teacher')) {
+      filter.$or.push({ coordinator: userId })
+    }
+
+    // Students can also access the courses they are registered to
+    // no matter their status or visibility.
+    if (roles.includes('student')) {
+      pipeline.push(
+        {
+          $lookup: {
+            from: 'registrations',
+            localField: '_id',
+            foreignField: 'program',
+            as: 'registrations',
+          },
+        },
+        {
+          $addFields: {
+            isRegistered: {
+              $anyElementTrue: {
+                $map: {
+                  input: '$registrations',
+                  as: 'registration',
+                  in: {
+                    $and: [
+                      { $eq: ['$$registration.user', userId] },
+                      {
+                        $eq: [
+                          { $type: '$$registration.invitation' },
+                          'missing',
+                        ],
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+          },
+        }
+      )
+
+      filter.$or.push({ isRegistered: true })
+    }
+
+    // Admin can access to all the courses.
+    if (roles.includes('admin')) {
+      delete filter.$or
+    }
+
+    // If the view argument is defined,
+    // adjust the filter according to it.
+    if (view) {
+      switch (view) {
+        case 'coordinator':
+          filter.$or = [{ coordinator: userId }]
+          break
+
+        case 'student':
+          filter.$or = [{ isRegistered: true }]
+          break
+      }
+    }
+  }
+
+  // Only set the defined filter when no user is connected,
+  // or if the connected one has not the admin role.
+  if (!user || !user.roles.includes('admin')) {
+    pipeline.push({ $match: filter })
+  }
+
+  return pipeline
+}
+
+export { getVisibleProgramsPipeline }
@@ -0,0 +1,203 @@
+import { UserInputError } from 'apollo-server'
+
+// Default margin, in percentage points, by which a learner
+// has to be behind the progress guide to be considered late.
+const DEFAULT_MARGIN = 10
+
+// Retrieve a course with its competencies,
+// which is all that is needed to compute the progress of its learners.
+async function getProgressCourse(models, courseId) {
+  const { Competency, Course } = models
+
+  const course = await Course.findOne(
+    { _id: courseId },
+    'competencies progressGuide schedule'
+  ).lean()
+  if (!course) {
+    throw new UserInputError('COURSE_NOT_FOUND')
+  }
+
+  const competencies = await Competency.find({
+    _id: { $in: course.competencies.map((c) => c.competency) },
+  }).lean()
+
+  return {
+    ...course,
+    competencies: course.competencies.map((c) => ({
+      ...c,
+      competency:
+        competencies.find(
+          (d) => d._id.toString() === c.competency.toString()
+        ) ?? null,
+    })),
+  }
+}
+
+// Compute the progress of a user in a course, globally for the basic
+// and advanced competencies, and for each competency of the course,
+// comparing it with the progress expected by the guide of the course.
+async function computeProgress(models, courseId, userId, date = new Date()) {
+  return await computeCourseProgress(
+    models,
+    await getProgressCourse(models, courseId),
+    userId,
+    date
+  )
+}
+
+// Compute the progress of a user in a course retrieved with
+// getProgressCourse, so that it can be reused for several users.
+async function computeCourseProgress(models, course, userId, date) {
+  const { ProgressHistory } = models
+
+  // Retrieve the progress histories for each competency.
+  const histories = await ProgressHistory.find(
+    {
+      competency: {
+        $in: course.competencies
+          .filter((c) => c.competency)
+          .map((c) => c.competency._id),
+      },
+      user: userId,
+    },
+    'competency learningOutcomes stars'
+  ).lean()
+  const competencies = course.competencies.map((c) => ({
+    category: c.category,
+    competency: c.competency,
+    history: histories.filter(
+      (h) => h.competency.toString() === c.competency?._id.toString()
+    ),
+    useLearningOutcomes: !!c.useLearningOutcomes,
+  }))
+
+  // Computes the progress for each competency.
+  competencies.forEach((competency) => {
+    // If stars are used, compute the total number of acquired stars.
+    if (!competency.useLearningOutcomes) {
+      competency.stars = competency.history.reduce(
+        (stars, c) => stars + c.stars,
+        0
+      )
+
+      competency.innerProgress = Math.min(competency.stars, 5)
+      competency.progress = competency.innerProgress
+    }
+    // If learning outcomes are used, compute the total number
+    // of acquired learning outcomes, for each one of them
+    else {
+      competency.learningOutcomes = competency.history.reduce(
+        (learningOutcomes, c) => {
+          c.learningOutcomes.forEach((i) => (learningOutcomes[i] += 1))
+          return learningOutcomes
+        },
+        Array.from(
+          { length: competency.competency.learningOutcomes.length },
+          () => 0
+        )
+      )
+
+      const sumAcquired = competency.competency.learningOutcomes.reduce(
+        (acc, lo, i) =>
+          acc + Math.min(competency.learningOutcomes[i], lo.takes ?? 1),
+        0
+      )
+      const totalToAcquire = competency.competency.learningOutcomes.reduce(
+        (acc, lo) => acc + (lo.takes ?? 1),
+        0
+      )
+      competency.innerProgress = (5 * sumAcquired) / totalToAcquire
+      competency.progress = Math.trunc(20 * competency.innerProgress)
+    }
+  })
+
+  const basic = competencies.filter((c) => c.category === 'basic')
+  const advanced = competencies.filter((c) => c.category === 'advanced')
+
+  const progress = {
+    advanced: advanced.length
+      ? Math.trunc(
+          (advanced.reduce((acc, c) => acc + c.innerProgress, 0) /
+            (advanced.length * 5)) *
+            100
+        )
+      : null,
+    basic: Math.trunc(
+      (basic.reduce((acc, c) => acc + c.innerProgress, 0) /
+        (basic.length * 5)) *
+        100
+    ),
+    competencies,
+  }
+
+  const expected = getExpectedProgress(course, date)
+  return { ...progress, expected, gap: getProgressGap(progress, expected) }
+}
+
+// Compute the progress expected by the guide of a course at a given date,
+// interpolating linearly between its steps. Before the first step,
+// the progress grows from zero since the start of the course.
+function getExpectedProgress(course, date) {
+  const steps = [...(course.progressGuide ?? [])].sort(
+    (a, b) => a.date - b.date
+  )
+  if (!steps.length) {
+    return null
+  }
+
+  const start = course.schedule?.start
+  if (start && start < steps[0].date) {
+    steps.unshift({ date: start, progress: { advanced: 0, basic: 0 } })
+  }
+
+  const next = steps.findIndex((s) => date < s.date)
+  if (next === -1) {
+    return { ...steps[steps.length - 1].progress, date }
+  }
+  if (next === 0) {
+    return { advanced: 0, basic: 0, date }
+  }
+
+  const [from, to] = [steps[next - 1], steps[next]]
+  const ratio = (date - from.date) / (to.date - from.date)
+  const interpolate = (category) =>
+    Math.round(
+      from.progress[category] +
+        ratio * (to.progress[category] - from.progress[category])
+    )
+
+  return {
+    advanced: interpolate('advanced'),
+    basic: interpolate('basic'),
+    date,
+  }
+}
+
+// Compute how far ahead of (positive) or behind (negative)
+// the expected progress an actual progress is, in percentage points.
+function getProgressGap(progress, expected) {
+  if (!expected) {
+    return null
+  }
+
+  return {
+    advanced:
+      progress.advanced !== null ? progress.advanced - expected.advanced : null,
+    basic: progress.basic - expected.basic,
+  }
+}
+
+// Check whether a progress gap is behind by more than a given margin.
+function isBehind(gap, margin) {
+  return !!gap && (gap.basic < -margin || (gap.advanced ?? 0) < -margin)
+}
+
+export {
+  computeCourseProgress,
+  computeProgress,
+  DEFAULT_MARGIN,
+  getExpectedProgress,
+  getProgressCourse,
+  getProgressGap,
+  isBehind,
+}
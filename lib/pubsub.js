@@ -0,0 +1,22 @@
+import { PubSub } from 'graphql-subscriptions'
+
+// In-memory publish/subscribe engine used to push events to the subscribers,
+// which requires the backend to run as a single instance.
+const pubsub = new PubSub()
+
+const EVALUATION_PUBLISHED = 'EVALUATION_PUBLISHED'
+const EVALUATION_REQUESTED = 'EVALUATION_REQUESTED'
+const REGISTRATION_CHANGED = 'REGISTRATION_CHANGED'
+
+// Retrieve the identifier of a referenced document, populated or not.
+function getId(ref) {
+  return (ref?._id ?? ref)?.toString()
+}
+
+export {
+  EVALUATION_PUBLISHED,
+  EVALUATION_REQUESTED,
+  getId,
+  pubsub,
+  REGISTRATION_CHANGED,
+}
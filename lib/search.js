@@ -0,0 +1,230 @@
+import mongoose from 'mongoose'
+
+import { getVisibleCoursesPipeline } from './courses.js'
+import { getVisibleProgramsPipeline } from './programs.js'
+import { escapeHTML, escapeRegExp } from './utils.js'
+
+// Maximal number of results retrieved from each collection.
+const MAX_RESULTS = 500
+const SNIPPET_LENGTH = 160
+
+// Searchable collections, with the fields that can be highlighted.
+const CATALOG = {
+  competency: {
+    fields: ['code', 'name', 'description', 'tags'],
+    model: 'Competency',
+  },
+  course: {
+    fields: ['code', 'name', 'description', 'field', 'tags'],
+    model: 'Course',
+  },
+  partner: {
+    fields: ['code', 'abbreviation', 'name', 'description'],
+    model: 'Partner',
+  },
+  program: {
+    fields: ['code', 'name', 'description', 'field', 'tags'],
+    model: 'Program',
+  },
+}
+
+// Extract the terms of a text search query,
+// that is, its words and quoted phrases, ignoring the negated ones.
+function getTerms(query) {
+  return [...query.matchAll(/"([^"]+)"|(\S+)/g)]
+    .map(([, phrase, word]) => phrase ?? word)
+    .filter((t) => !t.startsWith('-'))
+    .map((t) => t.trim())
+    .filter((t) => t.length)
+}
+
+// Build a snippet of a text around the first occurrence of one of the terms,
+// with all the occurrences wrapped into <mark> tags.
+function getSnippet(text, regex) {
+  const index = text.search(regex)
+  if (index === -1) {
+    return null
+  }
+
+  const start = Math.max(0, index - SNIPPET_LENGTH / 2)
+  const end = Math.min(text.length, start + SNIPPET_LENGTH)
+  const snippet = text
+    .slice(start, end)
+    .split(regex)
+    .map((part, i) =>
+      i % 2 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)
+    )
+    .join('')
+
+  return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '')
+}
+
+// Find the fields of a document matching the terms of a query.
+function getHighlights(document, fields, terms) {
+  if (!terms.length) {
+    return []
+  }
+
+  const regex = new RegExp(
+    `(?<![\\p{L}\\p{N}])(${terms
+      .map(escapeRegExp)
+      .join('|')})(?![\\p{L}\\p{N}])`,
+    'iu'
+  )
+
+  return fields.flatMap((field) => {
+    const value = document[field]
+    const text = Array.isArray(value) ? value.join(', ') : value
+    const snippet = text && getSnippet(text, regex)
+    return snippet ? [{ field, snippet }] : []
+  })
+}
+
+// Build the aggregation stages selecting the documents of a collection
+// that a user can see, following the rules of the corresponding queries.
+function getVisibilityPipeline(kind, user) {
+  switch (kind) {
+    case 'competency':
+      if (user?.roles.includes('admin')) {
+        return []
+      }
+      return [
+        {
+          $match: {
+            $or: [
+              { public: true },
+              ...(user?.roles.includes('teacher')
+                ? [{ user: new mongoose.Types.ObjectId(user.id) }]
+                : []),
+            ],
+          },
+        },
+      ]
+
+    case 'course':
+      return getVisibleCoursesPipeline(user)
+
+    case 'program':
+      return getVisibleProgramsPipeline(user)
+  }
+
+  return []
+}
+
+// Build the filter corresponding to the criteria of a search,
+// or return null if no document can match them.
+async function getFilter(models, kind, args) {
+  const { Course, Partner } = models
+
+  const filter = {}
+  for (const field of ['field', 'language', 'type']) {
+    if (args[field]) {
+      filter[field] = args[field]
+    }
+  }
+  if (args.tags?.length) {
+    filter.tags = { $all: args.tags }
+  }
+
+  // Partners are directly referenced by courses and competencies,
+  // while programs are associated to them through their courses.
+  if (args.partner) {
+    const partner = (await Partner.exists({ code: args.partner }))?._id
+    if (!partner) {
+      return null
+    }
+
+    switch (kind) {
+      case 'competency':
+      case 'course':
+        filter.partners = partner
+        break
+
+      case 'partner':
+        filter._id = partner
+        break
+
+      case 'program': {
+        const courses = await Course.find({ partners: partner }, '_id').lean()
+        filter['courses.course'] = { $in: courses.map((c) => c._id) }
+        break
+      }
+    }
+  }
+
+  return filter
+}
+
+// Count the occurrences of each value of a field among documents.
+function countValues(documents, field) {
+  const counts = {}
+  for (const document of documents) {
+    const values = [document[field]].flat().filter((v) => v)
+    for (const value of values) {
+      counts[value] = (counts[value] ?? 0) + 1
+    }
+  }
+
+  return Object.entries(counts)
+    .map(([value, count]) => ({ count, value }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+}
+
+// Search the catalog, that is, the competencies, courses, partners
+// and programs, using the text indexes of their collections.
+async function searchCatalog(models, user, args) {
+  const kinds = args.kinds?.length ? args.kinds : Object.keys(CATALOG)
+  const terms = getTerms(args.query)
+
+  const results = (
+    await Promise.all(
+      kinds.map(async (kind) => {
+        const { fields, model } = CATALOG[kind]
+        const filter = await getFilter(models, kind, args)
+        if (!filter) {
+          return []
+        }
+
+        // The text search must be the first stage of the pipeline.
+        const documents = await models[model].aggregate([
+          { $match: { $text: { $search: args.query } } },
+          { $addFields: { score: { $meta: 'textScore' } } },
+          ...getVisibilityPipeline(kind, user),
+          { $match: filter },
+          { $sort: { score: -1 } },
+          { $limit: MAX_RESULTS },
+          { $project: { registrations: 0 } },
+        ])
+
+        return documents.map((document) => ({
+          highlights: getHighlights(document, fields, terms),
+          item: { ...document, __typename: model },
+          kind,
+          score: document.score,
+        }))
+      })
+    )
+  )
+    .flat()
+    .sort((a, b) => b.score - a.score)
+
+  // Compute the facets over all the results, before paginating them.
+  const items = results.map((r) => r.item)
+  const offset = Math.max(0, args.offset ?? 0)
+
+  return {
+    facets: {
+      field: countValues(items, 'field'),
+      language: countValues(items, 'language'),
+      tags: countValues(items, 'tags'),
+      type: countValues(items, 'type'),
+    },
+    results: results.slice(
+      offset,
+      args.limit ? offset + args.limit : undefined
+    ),
+    total: results.length,
+  }
+}
+
+export { getFilter, getHighlights, getTerms, searchCatalog }
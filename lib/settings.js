@@ -0,0 +1,12 @@
+// Retrieve the platform-wide settings, with their default values.
+async function getSettings(models) {
+  const { Settings } = models
+
+  const settings = await Settings.findOne().lean()
+  return {
+    twoFactorRoles: [],
+    ...settings,
+  }
+}
+
+export { getSettings }
@@ -0,0 +1,300 @@
+import fs from 'fs-extra'
+import { DateTime } from 'luxon'
+import path from 'path'
+import PDFDocument from 'pdfkit'
+
+import { escapeHTML } from './utils.js'
+
+// MIME types of the formats in which a syllabus can be generated.
+const FORMATS = {
+  html: 'text/html',
+  pdf: 'application/pdf',
+}
+
+const SCHEDULE_EVENTS = {
+  registrationsStart: 'Start of registrations',
+  registrationsEnd: 'End of registrations',
+  start: 'Start of the course',
+  evaluationRequestsEnd: 'End of evaluation requests',
+  evaluationsEnd: 'End of evaluations',
+  end: 'End of the course',
+}
+
+function getFullName(user) {
+  return user.firstName && user.lastName
+    ? `${user.firstName} ${user.lastName}`
+    : user.username
+}
+
+function formatDate(date) {
+  return DateTime.fromJSDate(date).toFormat('yyyy-MM-dd HH:mm')
+}
+
+// Describe the load of a course, that is, its ECTS and its hours.
+function describeLoad(load) {
+  const lines = []
+  if (load?.ects) {
+    lines.push(`${load.ects} ECTS`)
+  }
+
+  switch (load?.type) {
+    case 'theo+prac':
+      lines.push(
+        `${load.theory ?? 0} hours of theory, ${
+          load.practice ?? 0
+        } hours of practice`
+      )
+      break
+
+    case 'weekly':
+      if (load.weekload) {
+        lines.push(`${load.weekload} hours per week`)
+      }
+      break
+  }
+
+  return lines
+}
+
+// Describe the workload of an assessment, in hours.
+function describeWorkload(load) {
+  return ['work', 'grading', 'defense']
+    .filter((f) => load?.[f])
+    .map((f) => `${f}: ${load[f]} h`)
+    .join(', ')
+}
+
+// Read the logo of a partner from the disk, if any.
+async function readLogo(partner) {
+  if (!partner.logo) {
+    return null
+  }
+
+  const logoPath = path.join(
+    process.env.BANNER_DIRECTORY,
+    'partners',
+    partner._id.toString(),
+    'logo',
+    path.basename(partner.logo)
+  )
+  if (!(await fs.pathExists(logoPath))) {
+    return null
+  }
+
+  return {
+    content: await fs.readFile(logoPath),
+    extension: path.extname(logoPath).slice(1).toLowerCase(),
+  }
+}
+
+// Gather everything that is presented in the syllabus of a course.
+async function getSyllabusData(models, course) {
+  const { Assessment, Competency, Partner, User } = models
+
+  const competencies = await Promise.all(
+    course.competencies.map(async (c) => ({
+      ...c,
+      competency: await Competency.findOne(
+        { _id: c.competency },
+        'code learningOutcomes name'
+      ).lean(),
+    }))
+  )
+
+  const teachers = await User.find(
+    { _id: { $in: [course.coordinator, ...(course.teachers ?? [])] } },
+    'firstName lastName username'
+  ).lean()
+
+  const partners = await Promise.all(
+    (
+      await Partner.find(
+        { _id: { $in: course.partners ?? [] } },
+        'logo name'
+      ).lean()
+    ).map(async (p) => ({ logo: await readLogo(p), name: p.name }))
+  )
+
+  const assessments = await Assessment.find(
+    { course: course._id, hidden: { $ne: true } },
+    'code description end load name start'
+  )
+    .sort({ start: 1, created: 1 })
+    .lean()
+
+  return {
+    assessments,
+    competencies: competencies.filter((c) => c.competency),
+    course,
+    load: describeLoad(course.load),
+    partners,
+    schedule: Object.entries(SCHEDULE_EVENTS)
+      .filter(([e]) => course.schedule?.[e])
+      .map(([e, label]) => ({ date: formatDate(course.schedule[e]), label })),
+    teachers: teachers.map(getFullName),
+  }
+}
+
+// Render a syllabus as a standalone HTML document.
+function renderHTML(data) {
+  const { assessments, competencies, course, load, partners, schedule } = data
+  const e = (text) => escapeHTML(`${text ?? ''}`)
+  const section = (title, content) =>
+    content ? `<h2>${e(title)}</h2>\n${content}\n` : ''
+  const list = (items) =>
+    items.length ? `<ul>${items.map((i) => `<li>${i}</li>`).join('')}</ul>` : ''
+
+  const logos = partners
+    .filter((p) => p.logo)
+    .map(
+      (p) =>
+        `<img alt="${e(p.name)}" height="60" src="data:image/${
+          p.logo.extension === 'svg' ? 'svg+xml' : p.logo.extension
+        };base64,${p.logo.content.toString('base64')}" />`
+    )
+    .join(' ')
+
+  return (
+    '<!DOCTYPE html>\n' +
+    `<html${course.language ? ` lang="${e(course.language)}"` : ''}>\n` +
+    `<head><meta charset="utf-8" /><title>${e(course.code)} – ${e(
+      course.name
+    )}</title></head>\n<body>\n` +
+    (logos ? `<p>${logos}</p>\n` : '') +
+    `<h1>${e(course.code)} – ${e(course.name)}</h1>\n` +
+    section('Description', `<p>${e(course.description)}</p>`) +
+    section('Teachers', list(data.teachers.map(e))) +
+    section('Partners', list(partners.map((p) => e(p.name)))) +
+    section('Load', list(load.map(e))) +
+    section(
+      'Schedule',
+      list(schedule.map((s) => `${e(s.label)}: ${e(s.date)}`))
+    ) +
+    section(
+      'Competencies',
+      list(
+        competencies.map(
+          ({ category, competency }) =>
+            `<strong>${e(competency.code)}</strong> – ${e(
+              competency.name
+            )} (${e(category)})` +
+            list((competency.learningOutcomes ?? []).map((lo) => e(lo.name)))
+        )
+      )
+    ) +
+    section(
+      'Assessments',
+      list(
+        assessments.map(
+          (a) =>
+            `<strong>${e(a.code ? `${a.code} – ${a.name}` : a.name)}</strong>` +
+            (a.description ? `<p>${e(a.description)}</p>` : '') +
+            (describeWorkload(a.load)
+              ? `<p>Workload: ${e(describeWorkload(a.load))}</p>`
+              : '')
+        )
+      )
+    ) +
+    section('Colophon', course.colophon && `<p>${e(course.colophon)}</p>`) +
+    '</body>\n</html>\n'
+  )
+}
+
+// Render a syllabus as a PDF document.
+function renderPDF(data) {
+  const { assessments, competencies, course, load, partners, schedule } = data
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 })
+    const chunks = []
+    doc.on('data', (chunk) => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    // Only PNG and JPEG images are supported by PDFKit.
+    const logos = partners.filter((p) =>
+      ['jpeg', 'jpg', 'png'].includes(p.logo?.extension)
+    )
+    logos.forEach((p, i) => {
+      doc.image(p.logo.content, 50 + i * 110, 40, { fit: [100, 50] })
+    })
+    if (logos.length) {
+      doc.y = 110
+    }
+
+    const heading = (title) => doc.moveDown().fontSize(14).text(title)
+    const paragraph = (text) => doc.moveDown(0.5).fontSize(10).text(text)
+    const list = (items, indent = 0) =>
+      items.length &&
+      doc.fontSize(10).list(items, doc.page.margins.left + indent, undefined)
+
+    doc.fontSize(20).text(`${course.code} – ${course.name}`)
+
+    heading('Description')
+    paragraph(course.description)
+
+    if (data.teachers.length) {
+      heading('Teachers')
+      list(data.teachers)
+    }
+    if (partners.length) {
+      heading('Partners')
+      list(partners.map((p) => p.name))
+    }
+    if (load.length) {
+      heading('Load')
+      list(load)
+    }
+    if (schedule.length) {
+      heading('Schedule')
+      list(schedule.map((s) => `${s.label}: ${s.date}`))
+    }
+
+    if (competencies.length) {
+      heading('Competencies')
+      for (const { category, competency } of competencies) {
+        paragraph(`${competency.code} – ${competency.name} (${category})`)
+        list(
+          (competency.learningOutcomes ?? []).map((lo) => lo.name),
+          15
+        )
+      }
+    }
+
+    if (assessments.length) {
+      heading('Assessments')
+      for (const a of assessments) {
+        paragraph(a.code ? `${a.code} – ${a.name}` : a.name)
+        if (a.description) {
+          doc.fontSize(9).text(a.description)
+        }
+        if (describeWorkload(a.load)) {
+          doc.fontSize(9).text(`Workload: ${describeWorkload(a.load)}`)
+        }
+      }
+    }
+
+    if (course.colophon) {
+      heading('Colophon')
+      paragraph(course.colophon)
+    }
+
+    doc.end()
+  })
+}
+
+// Generate the syllabus of a course, in the requested format,
+// as a base64-encoded file.
+async function generateSyllabus(models, course, format) {
+  const data = await getSyllabusData(models, course)
+  const content =
+    format === 'pdf' ? await renderPDF(data) : Buffer.from(renderHTML(data))
+
+  return {
+    content: content.toString('base64'),
+    filename: `${course.code}_syllabus.${format}`,
+    format: FORMATS[format],
+  }
+}
+
+export { generateSyllabus }
@@ -0,0 +1,70 @@
+import crypto from 'crypto'
+
+const TOKEN_PREFIX = 'tlca_'
+
+// Generate a new personal access token, with its hash to be stored.
+function generateAccessToken() {
+  const value = TOKEN_PREFIX + crypto.randomBytes(20).toString('hex')
+
+  return { hash: hashAccessToken(value), value }
+}
+
+// Retrieve the user identified by a personal access token, if still valid,
+// with the roles of the user restricted to those granted to the token.
+async function getTokenUser(models, value) {
+  const { Token, User } = models
+
+  const token = await Token.findOne({
+    expires: { $gt: new Date() },
+    hash: hashAccessToken(value),
+  })
+  if (!token) {
+    return null
+  }
+
+  const user = await User.findOne({ _id: token.user }, 'deactivated roles')
+  if (!user || user.deactivated) {
+    return null
+  }
+
+  // Record the last use of the token.
+  token.lastUsed = new Date()
+  await token.save()
+
+  return {
+    exp: Math.floor(token.expires.getTime() / 1000),
+    id: user._id.toString(),
+    roles: token.roles
+      ? user.roles.filter((role) => token.roles.includes(role))
+      : user.roles,
+    token: token._id.toString(),
+  }
+}
+
+// Check whether a JWT access token is still valid, that is, whether its user
+// has not been deactivated and its session, if any, has not been revoked.
+async function isSessionActive(models, userinfo) {
+  const { Session, User } = models
+
+  if (
+    userinfo.session &&
+    !(await Session.exists({ _id: userinfo.session, user: userinfo.id }))
+  ) {
+    return false
+  }
+
+  return !!(await User.exists({
+    _id: userinfo.id,
+    deactivated: { $exists: false },
+  }))
+}
+
+function hashAccessToken(value) {
+  return crypto.createHash('sha256').update(value).digest('hex')
+}
+
+function isAccessToken(value) {
+  return value?.startsWith(TOKEN_PREFIX)
+}
+
+export { generateAccessToken, getTokenUser, isAccessToken, isSessionActive }
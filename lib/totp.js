@@ -0,0 +1,124 @@
+import crypto from 'crypto'
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const DIGITS = 6
+const PERIOD = 30
+
+function base32Decode(str) {
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const c of str.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(c)
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let str = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      str += BASE32_ALPHABET[(value >>> (bits - 5)) & 0x1f]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    str += BASE32_ALPHABET[(value << (5 - bits)) & 0x1f]
+  }
+
+  return str
+}
+
+// Generate the one-time code of a secret for a given counter (RFC 4226).
+function generateCode(secret, counter) {
+  const buffer = Buffer.alloc(8)
+  buffer.writeUInt32BE(Math.floor(counter / 2 ** 32), 0)
+  buffer.writeUInt32BE(counter % 2 ** 32, 4)
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(buffer)
+    .digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+
+  return code.toString().padStart(DIGITS, '0')
+}
+
+// Generate a list of single-use recovery codes, with their hashes.
+function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () =>
+    crypto
+      .randomBytes(5)
+      .toString('hex')
+      .replace(/^(.{5})/, '$1-')
+  )
+
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+// Generate a new random secret, encoded in base32.
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+// Build the URI to be encoded in a QR code for authenticator apps.
+function getOtpauthURI(secret, account, issuer = 'TLCA') {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: PERIOD,
+  })
+
+  return `otpauth://totp/${label}?${params}`
+}
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(code.trim().toLowerCase())
+    .digest('hex')
+}
+
+// Check a time-based one-time code against a secret (RFC 6238),
+// tolerating a drift of one time step, and return its counter if valid.
+function verifyCode(secret, code, time = Date.now()) {
+  const counter = Math.floor(time / 1000 / PERIOD)
+  const candidate = Buffer.from(`${code}`.trim())
+
+  for (const c of [counter - 1, counter, counter + 1]) {
+    const expected = Buffer.from(generateCode(secret, c))
+    if (
+      candidate.length === expected.length &&
+      crypto.timingSafeEqual(candidate, expected)
+    ) {
+      return c
+    }
+  }
+
+  return null
+}
+
+export {
+  generateCode,
+  generateRecoveryCodes,
+  generateSecret,
+  getOtpauthURI,
+  hashRecoveryCode,
+  verifyCode,
+}
@@ -1,3 +1,173 @@
+import fs from 'fs-extra'
+import path from 'path'
+
+// Width, in pixels, of the thumbnails of profile images.
+const PROFILE_IMAGE_SIZES = { large: 256, medium: 128, small: 48 }
+
+// Anonymise a user and erase his/her personal data, keeping the registrations,
+// evaluations and progress histories so that course statistics remain intact.
+async function eraseUserData(models, user) {
+  const {
+    Attempt,
+    Evaluation,
+    File,
+    Instance,
+    Notification,
+    Registration,
+    Session,
+    Token,
+  } = models
+
+  // Delete the uploaded files, the assessment instances, the notifications,
+  // the sessions, the personal access tokens and the recorded attempts.
+  const files = await File.find({ user: user._id }, 'path tempPath').lean()
+  for (const file of files) {
+    for (const p of [file.path, file.tempPath]) {
+      if (p && (await fs.pathExists(p))) {
+        await fs.remove(p)
+      }
+    }
+  }
+  await File.deleteMany({ user: user._id })
+  await Instance.deleteMany({ user: user._id })
+  await Notification.deleteMany({ user: user._id })
+  await Session.deleteMany({ user: user._id })
+  await Token.deleteMany({ user: user._id })
+  await Attempt.deleteMany({ key: `account:${user._id}` })
+  if (user.profileImage) {
+    await fs.remove(
+      path.join(process.env.BANNER_DIRECTORY, 'users', user._id.toString())
+    )
+  }
+
+  // Remove the free texts written by the user from his/her evaluations.
+  await Evaluation.updateMany(
+    { user: user._id },
+    { $unset: { data: '', explanation: '' } }
+  )
+
+  // Delete the pending invitations and requests, which are not registrations.
+  await Registration.deleteMany({
+    invitation: { $exists: true },
+    user: user._id,
+  })
+
+  // Anonymise the user, removing all his/her personal information.
+  const id = user._id.toString()
+  for (const field of [
+    'additionalProvidersData',
+    'email',
+    'emailConfirmationToken',
+    'emailConfirmationTokenExpires',
+    'emailConfirmed',
+    'firstName',
+    'lastName',
+    'notificationPreferences',
+    'profileImage',
+    'profileImageURL',
+    'pendingEmail',
+    'pendingEmailToken',
+    'pendingEmailTokenExpires',
+    'providerData',
+    'resetPasswordToken',
+    'resetPasswordTokenExpires',
+    'salt',
+    'twoFactorChallengeToken',
+    'twoFactorChallengeTokenExpires',
+    'twoFactorCounter',
+    'twoFactorEnabled',
+    'twoFactorRecoveryCodes',
+    'twoFactorSecret',
+  ]) {
+    user[field] = undefined
+  }
+  user.deleted = new Date()
+  user.password = ''
+  user.roles = ['user']
+  user.username = `deleted-${id}`
+
+  await user.save()
+}
+
+// Gather all the personal data related to a user into a JSON archive.
+async function exportUserData(models, userId) {
+  const { Evaluation, File, Instance, ProgressHistory, Registration, User } =
+    models
+
+  const user = await User.findOne(
+    { _id: userId },
+    'created email emailConfirmed firstName lastName provider roles updated username'
+  ).lean()
+  if (!user) {
+    return null
+  }
+
+  const [registrations, evaluations, instances, progressHistories] =
+    await Promise.all([
+      Registration.find({ user: user._id })
+        .populate({ path: 'course', select: 'code name' })
+        .populate({ path: 'program', select: 'code name' })
+        .lean(),
+      Evaluation.find({ user: user._id })
+        .populate({ path: 'assessment', select: 'code name' })
+        .populate({ path: 'course', select: 'code name' })
+        .lean(),
+      Instance.find({ user: user._id })
+        .populate({ path: 'assessment', select: 'code name' })
+        .lean(),
+      ProgressHistory.find({ user: user._id })
+        .populate({ path: 'competency', select: 'code name' })
+        .lean(),
+    ])
+
+  // Embed the content of the files uploaded by the user.
+  const files = await File.find(
+    { user: user._id },
+    'date origName path size type'
+  ).lean()
+  for (const file of files) {
+    if (file.path && (await fs.pathExists(file.path))) {
+      file.content = (await fs.readFile(file.path)).toString('base64')
+    }
+    delete file.path
+  }
+
+  const content = JSON.stringify(
+    {
+      date: new Date(),
+      user,
+      registrations,
+      evaluations,
+      instances,
+      progressHistories,
+      files,
+    },
+    null,
+    2
+  )
+
+  return {
+    content: Buffer.from(content).toString('base64'),
+    filename: `tlca-data_${user.username}.json`,
+    format: 'application/json',
+  }
+}
+
+// Build the URLs of the thumbnails of the profile image of a user,
+// from the common prefix of their URLs stored in 'profileImage'.
+function getProfileImageURLs(user) {
+  if (!user.profileImage) {
+    return null
+  }
+
+  return Object.fromEntries(
+    Object.keys(PROFILE_IMAGE_SIZES).map((size) => [
+      size,
+      `${user.profileImage}_${size}.png`,
+    ])
+  )
+}
+
 function hasAnyRoles(user, roles) {
   return roles.some((role) => user?.roles.includes(role))
 }
@@ -6,4 +176,11 @@ function hasRole(user, role) {
   return user?.roles.includes(role)
 }
 
-export { hasAnyRoles, hasRole }
+export {
+  eraseUserData,
+  exportUserData,
+  getProfileImageURLs,
+  hasAnyRoles,
+  hasRole,
+  PROFILE_IMAGE_SIZES,
+}
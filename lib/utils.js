@@ -31,6 +31,17 @@ function cleanString(obj, ...fields) {
   clean(obj, fields, (o, f) => !o[f] || !o[f].trim().length)
 }
 
+// Escape a string so that it can be safely inserted into HTML.
+function escapeHTML(str) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }
+  return str.replace(/[&<>"]/g, (c) => entities[c])
+}
+
+// Escape a string so that it can be literally matched in a regular expression.
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
 function generateToken(expiresIn = 10) {
   return {
     token: crypto.randomBytes(20).toString('hex'),
@@ -38,4 +49,12 @@ function generateToken(expiresIn = 10) {
   }
 }
 
-export { cleanArray, cleanField, cleanObject, cleanString, generateToken }
+export {
+  cleanArray,
+  cleanField,
+  cleanObject,
+  cleanString,
+  escapeHTML,
+  escapeRegExp,
+  generateToken,
+}
@@ -0,0 +1,9 @@
+import Notification from './notification.model.js'
+import typeDef from './typeDef.js'
+import resolvers from './resolvers.js'
+
+export default {
+  Notification,
+  typeDef,
+  resolvers,
+}
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose'
+
+const { model, Schema } = mongoose
+
+const NotificationSchema = new Schema({
+  category: {
+    type: String,
+    enum: [
+      'announcement',
+      'evaluation-published',
+      'evaluation-request-accepted',
+      'evaluation-request-rejected',
+      'invitation',
+      'registration',
+    ],
+    required: true,
+  },
+  course: {
+    type: Schema.ObjectId,
+    ref: 'Course',
+  },
+  created: {
+    type: Date,
+    default: Date.now,
+  },
+  data: {
+    type: Object,
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  read: {
+    type: Date,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+})
+
+NotificationSchema.index({ user: 1, created: -1 })
+
+export default model('Notification', NotificationSchema)
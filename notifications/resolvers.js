@@ -0,0 +1,137 @@
+import Bugsnag from '@bugsnag/js'
+import { UserInputError } from 'apollo-server'
+
+import { getNotificationPreferences } from '../lib/notifications.js'
+
+const resolvers = {
+  NotificationCategory: {
+    ANNOUNCEMENT: 'announcement',
+    EVALUATION_PUBLISHED: 'evaluation-published',
+    EVALUATION_REQUEST_ACCEPTED: 'evaluation-request-accepted',
+    EVALUATION_REQUEST_REJECTED: 'evaluation-request-rejected',
+    INVITATION: 'invitation',
+    REGISTRATION: 'registration',
+  },
+  Notification: {
+    // Retrieve the course this notification is about, if any.
+    async course(notification, _args, { models }, _info) {
+      const { Course } = models
+
+      if (!notification.course) {
+        return null
+      }
+      return await Course.findOne({ _id: notification.course }).lean()
+    },
+    // Retrieve the 'id' of this notification from the MongoDB '_id'.
+    id(notification, _args, _context, _info) {
+      return notification._id.toString()
+    },
+    // Retrieve whether this notification has been read.
+    isRead(notification, _args, _context, _info) {
+      return !!notification.read
+    },
+  },
+  User: {
+    // Retrieve the notification preferences of this user,
+    // who must be the connected one.
+    async notificationPreferences(
+      user,
+      _args,
+      { models, user: loggedUser },
+      _info
+    ) {
+      const { User } = models
+
+      const { _id, notificationPreferences } =
+        (await User.findOne(
+          { username: user.username },
+          'notificationPreferences'
+        ).lean()) ?? {}
+      if (_id?.toString() !== loggedUser.id) {
+        return []
+      }
+
+      return getNotificationPreferences({ notificationPreferences })
+    },
+  },
+  Query: {
+    // Retrieve the notifications of the connected user, the most recent first.
+    async notifications(_parent, args, { models, user }, _info) {
+      const { Notification } = models
+
+      const filter = { user: user.id }
+      if (args.unread) {
+        filter.read = { $exists: false }
+      }
+
+      // Set up offset and limit.
+      const skip = Math.max(0, args.offset ?? 0)
+      const limit = args.limit ?? undefined
+
+      return await Notification.find(filter, null, {
+        limit,
+        skip,
+        sort: { created: -1 },
+      }).lean()
+    },
+    // Retrieve the number of unread notifications of the connected user.
+    async unreadNotificationsCount(_parent, _args, { models, user }, _info) {
+      const { Notification } = models
+
+      return await Notification.countDocuments({
+        read: { $exists: false },
+        user: user.id,
+      })
+    },
+  },
+  Mutation: {
+    // Edit whether the notifications of some categories
+    // are also sent by email to the connected user.
+    async editNotificationPreferences(_parent, args, { models, user }, _info) {
+      const { User } = models
+
+      const loggedUser = await User.findOne(
+        { _id: user.id },
+        'notificationPreferences'
+      )
+      if (!loggedUser) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+
+      const preferences = { ...loggedUser.notificationPreferences }
+      for (const { category, email } of args.preferences) {
+        preferences[category] = email
+      }
+      loggedUser.notificationPreferences = preferences
+
+      try {
+        await loggedUser.save()
+        return getNotificationPreferences(loggedUser)
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+    // Mark some or all the notifications of the connected user as read.
+    async markNotificationsAsRead(_parent, args, { models, user }, _info) {
+      const { Notification } = models
+
+      const filter = { read: { $exists: false }, user: user.id }
+      if (args.ids) {
+        filter._id = { $in: args.ids }
+      }
+
+      try {
+        await Notification.updateMany(filter, { read: new Date() })
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+  },
+}
+
+export default resolvers
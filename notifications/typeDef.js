@@ -0,0 +1,52 @@
+import { gql } from 'apollo-server'
+
+const typeDefs = gql`
+  enum NotificationCategory {
+    ANNOUNCEMENT
+    EVALUATION_PUBLISHED
+    EVALUATION_REQUEST_ACCEPTED
+    EVALUATION_REQUEST_REJECTED
+    INVITATION
+    REGISTRATION
+  }
+
+  input NotificationPreferenceInput {
+    category: NotificationCategory!
+    email: Boolean!
+  }
+
+  type Notification {
+    category: NotificationCategory!
+    course: Course
+    created: DateTime!
+    data: JSONObject
+    id: ID!
+    isRead: Boolean!
+    message: String!
+    read: DateTime
+  }
+
+  type NotificationPreference {
+    category: NotificationCategory!
+    email: Boolean!
+  }
+
+  extend type User {
+    notificationPreferences: [NotificationPreference!]! @auth
+  }
+
+  extend type Query {
+    notifications(limit: Int, offset: Int, unread: Boolean): [Notification!]!
+      @auth
+    unreadNotificationsCount: Int! @auth
+  }
+
+  extend type Mutation {
+    editNotificationPreferences(
+      preferences: [NotificationPreferenceInput!]!
+    ): [NotificationPreference!] @auth
+    markNotificationsAsRead(ids: [ID!]): Boolean @auth
+  }
+`
+
+export default typeDefs
@@ -50,6 +50,16 @@ const PartnerSchema = new Schema({
   },
 })
 
+// Index the texts for the catalog search, without stemming.
+PartnerSchema.index(
+  { abbreviation: 'text', code: 'text', description: 'text', name: 'text' },
+  {
+    default_language: 'none',
+    name: 'search',
+    weights: { abbreviation: 5, code: 10, name: 5 },
+  }
+)
+
 // Generate full path for the banner and the logo.
 PartnerSchema.post(
   ['aggregate', 'find', 'findOne'],
@@ -110,6 +110,24 @@ ProgramSchema.pre('validate', function (next) {
   next()
 })
 
+// Index the texts for the catalog search, without stemming since the
+// 'language' field is free text and cannot drive the text index.
+ProgramSchema.index(
+  {
+    code: 'text',
+    description: 'text',
+    field: 'text',
+    name: 'text',
+    tags: 'text',
+  },
+  {
+    default_language: 'none',
+    language_override: 'textLanguage',
+    name: 'search',
+    weights: { code: 10, name: 5, tags: 3 },
+  }
+)
+
 // Generate full path for the banner.
 ProgramSchema.post(
   ['aggregate', 'find', 'findOne'],
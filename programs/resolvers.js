@@ -1,7 +1,7 @@
 import { UserInputError } from 'apollo-server'
-import mongoose from 'mongoose'
 
 import { isCoordinator } from '../lib/courses.js'
+import { getVisibleProgramsPipeline } from '../lib/programs.js'
 import { cleanField } from '../lib/utils.js'
 
 // Clean up the optional args related to a program.
@@ -130,103 +130,7 @@ const resolvers = {
     async programs(_parent, args, { models, user }, _info) {
       const { Program } = models
 
-      const pipeline = []
-
-      // Basically, can only retrieve programs that are:
-      // with the 'public' or invite-only' visibilities,
-      // and with the 'published' status.
-      const filter = {
-        $or: [
-          {
-            $and: [
-              { published: { $exists: true } },
-              { archived: { $exists: false } },
-              {
-                $or: [{ visibility: 'public' }, { visibility: 'invite-only' }],
-              },
-            ],
-          },
-        ],
-      }
-
-      // If a user is connected,
-      // adjust the filter according to his/her roles.
-      if (user && args.view !== 'user') {
-        const { roles } = user
-        const userId = new mongoose.Types.ObjectId(user.id)
-
-        // Teachers can also access their own programs
-        // no matter their status or visibility.
-        if (roles.includes('teacher')) {
-          filter.$or.push({ coordinator: userId })
-        }
-
-        // Students can also access the courses they are registered to
-        // no matter their status or visibility.
-        if (roles.includes('student')) {
-          pipeline.push(
-            {
-              $lookup: {
-                from: 'registrations',
-                localField: '_id',
-                foreignField: 'program',
-                as: 'registrations',
-              },
-            },
-            {
-              $addFields: {
-                isRegistered: {
-                  $anyElementTrue: {
-                    $map: {
-                      input: '$registrations',
-                      as: 'registration',
-                      in: {
-                        $and: [
-                          { $eq: ['$$registration.user', userId] },
-                          {
-                            $eq: [
-                              { $type: '$$registration.invitation' },
-                              'missing',
-                            ],
-                          },
-                        ],
-                      },
-                    },
-                  },
-                },
-              },
-            }
-          )
-
-          filter.$or.push({ isRegistered: true })
-        }
-
-        // Admin can access to all the courses.
-        if (roles.includes('admin')) {
-          delete filter.$or
-        }
-
-        // If the view argument is defined,
-        // adjust the filter according to it.
-        const { view } = args
-        if (view) {
-          switch (view) {
-            case 'coordinator':
-              filter.$or = [{ coordinator: userId }]
-              break
-
-            case 'student':
-              filter.$or = [{ isRegistered: true }]
-              break
-          }
-        }
-      }
-
-      // Only set the defined filter when no user is connected,
-      // or if the connected one has not the admin role.
-      if (!user || !user.roles.includes('admin')) {
-        pipeline.push({ $match: filter })
-      }
+      const pipeline = getVisibleProgramsPipeline(user, args.view)
 
       // Set up offset and limit.
       pipeline.push({ $skip: Math.max(0, args.offset ?? 0) })
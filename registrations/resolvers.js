@@ -1,15 +1,115 @@
 import Bugsnag from '@bugsnag/js'
 import { UserInputError } from 'apollo-server'
+import { withFilter } from 'graphql-subscriptions'
 import { DateTime } from 'luxon'
 
+import { canEnroll, canUpdateGroup, isCoordinator } from '../lib/courses.js'
+import { notify } from '../lib/notifications.js'
 import {
-  canEnroll,
-  canUpdateGroup,
-  isCoordinator,
-  isTeacher,
-} from '../lib/courses.js'
+  computeCourseProgress,
+  computeProgress,
+  DEFAULT_MARGIN,
+  getProgressCourse,
+  isBehind,
+} from '../lib/progress.js'
+import {
+  hasPermission,
+  isStaffMember,
+  PERMISSION_FIELDS,
+} from '../lib/permissions.js'
+import { getUnmetPrerequisites } from '../lib/prerequisites.js'
+import { getId, pubsub, REGISTRATION_CHANGED } from '../lib/pubsub.js'
 import { hasRole } from '../lib/users.js'
 
+// Notify the coordinator of a course that a new learner registered to it.
+async function notifyCoordinator(models, smtpTransport, course, registration) {
+  const { User } = models
+
+  try {
+    const learner = await User.findOne(
+      { _id: registration.user },
+      'firstName lastName username'
+    ).lean()
+    const name =
+      learner.firstName && learner.lastName
+        ? `${learner.firstName} ${learner.lastName}`
+        : learner.username
+
+    await notify(models, smtpTransport, {
+      category: 'registration',
+      course: course._id,
+      data: {
+        courseCode: course.code,
+        registration: registration._id.toString(),
+      },
+      message: `${name} registered to the course “${course.code} – ${course.name}”.`,
+      user: course.coordinator,
+    })
+  } catch (err) {
+    Bugsnag.notify(err)
+  }
+}
+
+// Push a change of a course registration to the subscribers.
+function publishRegistration(registration) {
+  if (registration.course) {
+    pubsub.publish(REGISTRATION_CHANGED, { registrationChanged: registration })
+  }
+
+  return registration
+}
+
+// Build the filter selecting the registrations to a course
+// that a staff member can access. If teaching groups are defined,
+// a staff member who cannot manage the registrations can only access
+// to the learners from his/her teaching groups.
+function getCourseFilter(course, user) {
+  const filter = { course: course._id }
+
+  if (
+    !hasPermission(course, user, 'manage-registrations') &&
+    course.groups?.teaching?.length
+  ) {
+    const groups = course.groups.teaching
+      .map((g, i) => ({ ...g, i }))
+      .filter((g) => g.supervisor.toString() === user.id)
+      .map((g) => g.i)
+    filter.$or = [
+      { 'group.teaching': { $exists: false } },
+      { 'group.teaching': { $in: groups } },
+    ]
+  }
+
+  return filter
+}
+
+// Check whether a user meets the prerequisites of a course, throwing
+// an error reporting the unmet ones by the code of their course or competency.
+async function checkPrerequisites(models, course, userId) {
+  const { Competency, Course } = models
+
+  const unmet = await getUnmetPrerequisites(models, course, userId)
+  if (unmet.length) {
+    throw new UserInputError('UNMET_PREREQUISITES', {
+      prerequisites: await Promise.all(
+        unmet.map(async (p) =>
+          p.course
+            ? {
+                course: (await Course.findOne({ _id: p.course }, 'code'))?.code,
+                current: p.current,
+                progress: p.progress,
+              }
+            : {
+                competency: (
+                  await Competency.findOne({ _id: p.competency }, 'code')
+                )?.code,
+              }
+        )
+      ),
+    })
+  }
+}
+
 // Check if the registered user has the student role
 // and add it to him/her if not.
 async function updateStudentStatus(models, userId) {
@@ -38,93 +138,18 @@ const resolvers = {
     id(registration, _args, _context, _info) {
       return registration._id.toString()
     },
-    // Retrieve the progress of the user associated to this registration.
+    // Retrieve the progress of the user associated to this registration,
+    // unless it has already been computed, as for the late registrations.
     async progress(registration, _args, { models }, _info) {
-      const { Competency, Course, ProgressHistory } = models
-
-      // Retrieve the course associated to this registration.
-      const course = await Course.findOne(
-        { _id: registration.course },
-        'competencies'
-      ).lean()
-      if (!course) {
-        throw new UserInputError('COURSE_NOT_FOUND')
+      if (registration.progress?.competencies) {
+        return registration.progress
       }
 
-      // Retrieve the progress histories for each competency.
-      const competencies = await Promise.all(
-        course.competencies.map(async (c) => ({
-          category: c.category,
-          competency: await Competency.findOne({ _id: c.competency }).lean(),
-          history: await ProgressHistory.find(
-            {
-              competency: c.competency,
-              user: registration.user,
-            },
-            'learningOutcomes stars'
-          ).lean(),
-          useLearningOutcomes: !!c.useLearningOutcomes,
-        }))
+      return await computeProgress(
+        models,
+        registration.course,
+        registration.user
       )
-
-      // Computes the progress for each competency.
-      competencies.forEach((competency) => {
-        // If stars are used, compute the total number of acquired stars.
-        if (!competency.useLearningOutcomes) {
-          competency.stars = competency.history.reduce(
-            (stars, c) => stars + c.stars,
-            0
-          )
-
-          competency.innerProgress = Math.min(competency.stars, 5)
-          competency.progress = competency.innerProgress
-        }
-        // If learning outcomes are used, compute the total number
-        // of acquired learning outcomes, for each one of them
-        else {
-          competency.learningOutcomes = competency.history.reduce(
-            (learningOutcomes, c) => {
-              c.learningOutcomes.forEach((i) => (learningOutcomes[i] += 1))
-              return learningOutcomes
-            },
-            Array.from(
-              { length: competency.competency.learningOutcomes.length },
-              () => 0
-            )
-          )
-
-          const sumAcquired = competency.competency.learningOutcomes.reduce(
-            (acc, lo, i) =>
-              acc + Math.min(competency.learningOutcomes[i], lo.takes ?? 1),
-            0
-          )
-          const totalToAcquire = competency.competency.learningOutcomes.reduce(
-            (acc, lo) => acc + (lo.takes ?? 1),
-            0
-          )
-          competency.innerProgress = (5 * sumAcquired) / totalToAcquire
-          competency.progress = Math.trunc(20 * competency.innerProgress)
-        }
-      })
-
-      const basic = competencies.filter((c) => c.category === 'basic')
-      const advanced = competencies.filter((c) => c.category === 'advanced')
-
-      return {
-        advanced: advanced.length
-          ? Math.trunc(
-              (advanced.reduce((acc, c) => acc + c.innerProgress, 0) /
-                (advanced.length * 5)) *
-                100
-            )
-          : null,
-        basic: Math.trunc(
-          (basic.reduce((acc, c) => acc + c.innerProgress, 0) /
-            (basic.length * 5)) *
-            100
-        ),
-        competencies,
-      }
     },
     // Retrieve the user associated to this registration.
     async user(registration, _args, { models }, _info) {
@@ -134,6 +159,48 @@ const resolvers = {
     },
   },
   Query: {
+    // Retrieve the confirmed registrations to a given course
+    // whose learner is behind its progress guide by more than a margin,
+    // the furthest behind on the basic competencies first.
+    async lateRegistrations(_parent, args, { models, user }, _info) {
+      const { Course, Registration } = models
+
+      const course = await Course.findOne(
+        { code: args.courseCode },
+        `_id groups progressGuide ${PERMISSION_FIELDS}`
+      ).lean()
+      if (!course || !hasPermission(course, user, 'view-registrations')) {
+        throw new UserInputError('COURSE_NOT_FOUND')
+      }
+      if (!course.progressGuide?.length) {
+        return []
+      }
+      if (args.margin < 0) {
+        throw new UserInputError('INVALID_MARGIN')
+      }
+
+      const registrations = await Registration.find({
+        ...getCourseFilter(course, user),
+        invitation: { $exists: false },
+      }).lean()
+
+      // Compute the progress of each learner, once and for all,
+      // retrieving the course and its competencies only once.
+      const now = new Date()
+      const progressCourse = await getProgressCourse(models, course._id)
+      for (const registration of registrations) {
+        registration.progress = await computeCourseProgress(
+          models,
+          progressCourse,
+          registration.user,
+          now
+        )
+      }
+
+      return registrations
+        .filter((r) => isBehind(r.progress.gap, args.margin ?? DEFAULT_MARGIN))
+        .sort((a, b) => a.progress.gap.basic - b.progress.gap.basic)
+    },
     async registration(_parent, args, { models, user }, _info) {
       const { Course, Program, Registration, User } = models
 
@@ -152,7 +219,7 @@ const resolvers = {
       if (args.code) {
         const course = await Course.findOne(
           { code: args.code },
-          'coordinator teachers'
+          PERMISSION_FIELDS
         ).lean()
         if (!course) {
           throw new UserInputError('COURSE_NOT_FOUND')
@@ -160,10 +227,7 @@ const resolvers = {
 
         filter.course = course._id
 
-        if (
-          learner &&
-          (isCoordinator(course, user) || isTeacher(course, user))
-        ) {
+        if (learner && hasPermission(course, user, 'view-registrations')) {
           filter.user = learner._id
         }
       }
@@ -205,31 +269,15 @@ const resolvers = {
       if (args.courseCode) {
         const course = await Course.findOne(
           { code: args.courseCode },
-          '_id coordinator groups teachers'
+          `_id groups ${PERMISSION_FIELDS}`
         ).lean()
 
-        if (
-          !course ||
-          !(isCoordinator(course, user) || isTeacher(course, user))
-        ) {
+        if (!course || !hasPermission(course, user, 'view-registrations')) {
           throw new UserInputError('COURSE_NOT_FOUND')
         }
 
         // Filter the registrations according to the provided course code.
-        filter.course = course._id
-
-        // If teaching groups are defined, a teacher can only access
-        // to the learners from his/her teaching groups.
-        if (!isCoordinator(course, user) && course.groups?.teaching?.length) {
-          const groups = course.groups.teaching
-            .map((g, i) => ({ ...g, i }))
-            .filter((g) => g.supervisor.toString() === user.id)
-            .map((g) => g.i)
-          filter.$or = [
-            { 'group.teaching': { $exists: false } },
-            { 'group.teaching': { $in: groups } },
-          ]
-        }
+        Object.assign(filter, getCourseFilter(course, user))
       }
 
       if (args.programCode) {
@@ -251,7 +299,12 @@ const resolvers = {
   },
   Mutation: {
     // Accept an invitation sent by a teacher for a given course, as a user.
-    async acceptInvitation(_parent, args, { models, user }, _info) {
+    async acceptInvitation(
+      _parent,
+      args,
+      { models, smtpTransport, user },
+      _info
+    ) {
       const { Course, Registration } = models
 
       const registration = await Registration.findOne(
@@ -264,19 +317,20 @@ const resolvers = {
 
       const course = await Course.findOne(
         { _id: registration.course },
-        'archived coordinator published schedule visibility'
+        'archived closed code coordinator name prerequisites published schedule visibility waivers'
       ).lean()
       if (!course) {
         throw new UserInputError('COURSE_NOT_FOUND')
       }
 
       // Only the invited user can accept the invitation
-      // for a course with the 'published' status and 'private' visibility
-      // and within the registration schedule, if any.
+      // for a course with the 'published' status, not closed yet,
+      // and 'private' visibility and within the registration schedule, if any.
       const now = DateTime.now()
       if (
         user.id !== registration.user.toString() ||
         !course.published ||
+        course.closed ||
         course.archived ||
         !(
           course.visibility === 'invite-only' || course.visibility === 'private'
@@ -286,14 +340,21 @@ const resolvers = {
         throw new UserInputError('INVITATION_ACCEPTANCE_FAILED')
       }
 
+      // Check whether the user meets the prerequisites of the course.
+      await checkPrerequisites(models, course, user.id)
+
       // Accept the invitation.
       registration.date = now
       registration.invitation = undefined
 
-      // Save the registration into the database.
+      // Save the registration into the database
+      // and notify the coordinator of the course.
       try {
         await updateStudentStatus(models, registration.user)
-        return await registration.save()
+        await registration.save()
+        publishRegistration(registration)
+        await notifyCoordinator(models, smtpTransport, course, registration)
+        return registration
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -318,24 +379,29 @@ const resolvers = {
       if (registration.course) {
         const course = await Course.findOne(
           { _id: registration.course },
-          'archived coordinator published schedule visibility'
+          `archived closed prerequisites published schedule visibility waivers ${PERMISSION_FIELDS}`
         ).lean()
         if (!course) {
           throw new UserInputError('COURSE_NOT_FOUND')
         }
 
-        // Only the coordinator can accept an invitation request
-        // for a course with the 'published' status and 'invite-only' visibility
-        // and within the registration schedule, if any.
+        // Only the staff members permitted to manage the registrations
+        // can accept an invitation request for a course
+        // with the 'published' status, not closed yet, and 'invite-only'
+        // visibility and within the registration schedule, if any.
         if (
-          !isCoordinator(course, user) ||
+          !hasPermission(course, user, 'manage-registrations') ||
           !course.published ||
+          course.closed ||
           course.archived ||
           course.visibility !== 'invite-only' ||
           !canEnroll(course, now)
         ) {
           throw new UserInputError('INVITATION_REQUEST_ACCEPTANCE_FAILED')
         }
+
+        // Check whether the learner meets the prerequisites of the course.
+        await checkPrerequisites(models, course, registration.user.toString())
       }
 
       // Check whether it is possible to register to the program.
@@ -387,7 +453,7 @@ const resolvers = {
                   date,
                   user: user.id,
                 })
-                await registration.save()
+                publishRegistration(await registration.save())
               }
             })
           )
@@ -403,7 +469,7 @@ const resolvers = {
       // Save the registration into the database.
       try {
         await updateStudentStatus(models, registration.user)
-        return await registration.save()
+        return publishRegistration(await registration.save())
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -426,16 +492,16 @@ const resolvers = {
       // Retrieve the course associated to the registration.
       const course = await Course.findOne(
         { _id: registration.course },
-        'archived coordinator published'
+        `archived published ${PERMISSION_FIELDS}`
       ).lean()
       if (!course) {
         throw new UserInputError('COURSE_NOT_FOUND')
       }
 
-      // Only the coordinator can delete a registration
-      // for a course with the 'published' status.
+      // Only the staff members permitted to manage the registrations
+      // can delete a registration for a course with the 'published' status.
       if (
-        !isCoordinator(course, user) ||
+        !hasPermission(course, user, 'manage-registrations') ||
         !course.published ||
         course.archived
       ) {
@@ -451,6 +517,7 @@ const resolvers = {
 
       try {
         await registration.delete()
+        publishRegistration(registration)
         return true
       } catch (err) {
         Bugsnag.notify(err)
@@ -459,28 +526,28 @@ const resolvers = {
       return false
     },
     // Register to a given course, as a user.
-    async register(_parent, args, { models, user }, _info) {
+    async register(_parent, args, { models, smtpTransport, user }, _info) {
       const { Course, Registration } = models
 
       const course = await Course.findOne(
         { code: args.courseCode },
-        '_id archived coordinator published schedule teachers visibility'
+        '_id archived closed code coordinator name prerequisites published schedule staff teachers visibility waivers'
       ).lean()
       if (!course) {
         throw new UserInputError('Course not found.')
       }
 
       // Can only directly register to
-      // a published course with 'public' visibility
-      // and if the connected user is not the coordinator or a teacher of the course
+      // a published course, not closed yet, with 'public' visibility
+      // and if the connected user is not a staff member of the course
       // and within the registration schedule, if any.
       const now = DateTime.now()
       if (
         !course.published ||
+        course.closed ||
         course.archived ||
         course.visibility !== 'public' ||
-        isCoordinator(course, user) ||
-        isTeacher(course, user) ||
+        isStaffMember(course, user) ||
         !canEnroll(course, now)
       ) {
         throw new UserInputError('REGISTRATION_FAILED')
@@ -495,15 +562,22 @@ const resolvers = {
         throw new UserInputError('ALREADY_REGISTERED')
       }
 
+      // Check whether the user meets the prerequisites of the course.
+      await checkPrerequisites(models, course, user.id)
+
       const registration = new Registration({
         course: course._id,
         date: now,
         user: user.id,
       })
 
-      // Create a new registration for the user.
+      // Create a new registration for the user
+      // and notify the coordinator of the course.
       try {
-        return await registration.save()
+        await registration.save()
+        publishRegistration(registration)
+        await notifyCoordinator(models, smtpTransport, course, registration)
+        return registration
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -535,17 +609,18 @@ const resolvers = {
       // Retrieve the course associated to the registration.
       const course = await Course.findOne(
         { _id: registration.course },
-        'coordinator groups schedule'
+        `groups schedule ${PERMISSION_FIELDS}`
       ).lean()
       if (!course) {
         throw new UserInputError('COURSE_NOT_FOUND')
       }
 
-      // Only the coordinator can update the group of a student
+      // Only the staff members permitted to manage the registrations
+      // can update the group of a student
       // for a course for which groups have been defined.
       const now = DateTime.now()
       if (
-        !isCoordinator(course, user) ||
+        !hasPermission(course, user, 'manage-registrations') ||
         !course.groups ||
         !course.groups[groupType]?.length ||
         !canUpdateGroup(course, now)
@@ -561,7 +636,7 @@ const resolvers = {
 
       // Save the registration into the database.
       try {
-        return await registration.save()
+        return publishRegistration(await registration.save())
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -579,23 +654,23 @@ const resolvers = {
       if (args.courseCode) {
         const course = await Course.findOne(
           { code: args.courseCode },
-          '_id archived coordinator published schedule teachers visibility'
+          '_id archived closed coordinator prerequisites published schedule staff teachers visibility waivers'
         ).lean()
         if (!course) {
           throw new UserInputError('Course not found.')
         }
 
         // Can only request an invitation for
-        // a published course with 'invite-only' visibility
-        // and if the connected user is not the coordinator or a teacher of the course
+        // a published course, not closed yet, with 'invite-only' visibility
+        // and if the connected user is not a staff member of the course
         // and within the registration schedule, if any.
         const now = DateTime.now()
         if (
           !course.published ||
+          course.closed ||
           course.archived ||
           course.visibility !== 'invite-only' ||
-          isCoordinator(course, user) ||
-          isTeacher(course, user) ||
+          isStaffMember(course, user) ||
           !canEnroll(course, now)
         ) {
           throw new UserInputError('INVITATION_REQUEST')
@@ -610,6 +685,9 @@ const resolvers = {
           throw new UserInputError('ALREADY_REGISTERED')
         }
 
+        // Check whether the user meets the prerequisites of the course.
+        await checkPrerequisites(models, course, user.id)
+
         // Create a new registration for the user,
         // representing the invitation request.
         const registration = new Registration({
@@ -620,7 +698,7 @@ const resolvers = {
         })
 
         try {
-          return await registration.save()
+          return publishRegistration(await registration.save())
         } catch (err) {
           Bugsnag.notify(err)
         }
@@ -670,7 +748,7 @@ const resolvers = {
         })
 
         try {
-          return await registration.save()
+          return publishRegistration(await registration.save())
         } catch (err) {
           Bugsnag.notify(err)
         }
@@ -689,7 +767,7 @@ const resolvers = {
 
       const course = await Course.findOne(
         { code: args.courseCode },
-        'archived code coordinator name published schedule teachers visibility'
+        `archived closed code name prerequisites published schedule visibility waivers ${PERMISSION_FIELDS}`
       ).lean()
       if (!course) {
         throw new UserInputError('COURSE_NOT_FOUND')
@@ -701,18 +779,19 @@ const resolvers = {
         '_id displayName email roles username'
       )
 
-      // Only the coordinator can send an invitation
-      // for a published course with 'invite-only' or 'private' visibility
-      // and, if the user to invite exists, he/she cannot be the coordinator or a teacher of the course
+      // Only the staff members permitted to manage the registrations
+      // can send an invitation for a published course, not closed yet,
+      // with 'invite-only' or 'private' visibility
+      // and, if the user to invite exists, he/she cannot be a staff member of the course
       // and within the registration schedule, if any.
       const now = DateTime.now()
       if (
-        !isCoordinator(course, user) ||
+        !hasPermission(course, user, 'manage-registrations') ||
         !course.published ||
+        !!course.closed ||
         !!course.archived ||
         !['invite-only', 'private'].includes(course.visibility) ||
-        isCoordinator(course, invitedUser) ||
-        isTeacher(course, invitedUser) ||
+        isStaffMember(course, invitedUser) ||
         !canEnroll(course, now)
       ) {
         throw new UserInputError('INVITATION_SENDING_FAILED')
@@ -727,6 +806,10 @@ const resolvers = {
         if (isRegistered) {
           throw new UserInputError('ALREADY_REGISTERED_OR_INVITED')
         }
+
+        // Check whether the user meets the prerequisites of the course,
+        // which is otherwise done when accepting the invitation.
+        await checkPrerequisites(models, course, invitedUser.id)
       }
 
       // Create a new registration for the user,
@@ -755,7 +838,23 @@ const resolvers = {
       const registration = new Registration(fields)
 
       try {
-        return await registration.save()
+        publishRegistration(await registration.save())
+
+        // Notify the invited user, if he/she already exists.
+        if (invitedUser) {
+          await notify(models, smtpTransport, {
+            category: 'invitation',
+            course: course._id,
+            data: {
+              courseCode: course.code,
+              registration: registration._id.toString(),
+            },
+            message: `You have been invited to the course “${course.code} – ${course.name}” by its coordinator.`,
+            user: invitedUser._id,
+          })
+        }
+
+        return registration
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -781,17 +880,18 @@ const resolvers = {
       // Retrieve the course associated to the registration.
       const course = await Course.findOne(
         { _id: registration.course },
-        'coordinator groups schedule'
+        `groups schedule ${PERMISSION_FIELDS}`
       ).lean()
       if (!course) {
         throw new UserInputError('COURSE_NOT_FOUND')
       }
 
-      // Only the coordinator can update the group of a student
+      // Only the staff members permitted to manage the registrations
+      // can update the group of a student
       // for a course for which groups have been defined.
       const now = DateTime.now()
       if (
-        !isCoordinator(course, user) ||
+        !hasPermission(course, user, 'manage-registrations') ||
         !course.groups ||
         !course.groups[groupType]?.length ||
         !(args.group >= 0 && args.group < course.groups[groupType].length) ||
@@ -808,7 +908,7 @@ const resolvers = {
 
       // Save the registration into the database.
       try {
-        return await registration.save()
+        return publishRegistration(await registration.save())
       } catch (err) {
         Bugsnag.notify(err)
       }
@@ -816,6 +916,31 @@ const resolvers = {
       return null
     },
   },
+  Subscription: {
+    // Push the changes of the registrations to a course to its teachers.
+    registrationChanged: {
+      async subscribe(parent, args, context, info) {
+        const { Course } = context.models
+
+        const course = await Course.findOne(
+          { code: args.courseCode },
+          `_id ${PERMISSION_FIELDS}`
+        ).lean()
+        if (
+          !course ||
+          !hasPermission(course, context.user, 'view-registrations')
+        ) {
+          throw new UserInputError('COURSE_NOT_FOUND')
+        }
+
+        return withFilter(
+          () => pubsub.asyncIterator(REGISTRATION_CHANGED),
+          ({ registrationChanged }) =>
+            getId(registrationChanged.course) === course._id.toString()
+        )(parent, args, context, info)
+      },
+    },
+  },
 }
 
 export default resolvers
@@ -17,6 +17,13 @@ const typeDefs = gql`
     advanced: Int
     basic: Int!
     competencies: [CompetencyProgress!]
+    expected: ProgressStep
+    gap: ProgressGap
+  }
+
+  type ProgressGap {
+    advanced: Int
+    basic: Int!
   }
 
   type Registration {
@@ -35,6 +42,8 @@ const typeDefs = gql`
   }
 
   extend type Query {
+    lateRegistrations(courseCode: ID!, margin: Int): [Registration!]
+      @auth(requires: TEACHER)
     registration(code: ID!, learner: ID): Registration @auth
     registrations(
       confirmed: Boolean
@@ -58,6 +67,10 @@ const typeDefs = gql`
     updateGroup(id: ID!, group: Int!, type: GroupType!): Registration
       @auth(requires: TEACHER)
   }
+
+  extend type Subscription {
+    registrationChanged(courseCode: ID!): Registration @auth(requires: TEACHER)
+  }
 `
 
 export default typeDefs
@@ -0,0 +1,7 @@
+import typeDef from './typeDef.js'
+import resolvers from './resolvers.js'
+
+export default {
+  typeDef,
+  resolvers,
+}
@@ -0,0 +1,25 @@
+import { UserInputError } from 'apollo-server'
+
+import { searchCatalog } from '../lib/search.js'
+
+const resolvers = {
+  SearchKind: {
+    COMPETENCY: 'competency',
+    COURSE: 'course',
+    PARTNER: 'partner',
+    PROGRAM: 'program',
+  },
+  Query: {
+    // Search the competencies, courses, partners and programs
+    // visible to the connected user, if any, matching a text query.
+    async search(_parent, args, { models, user }, _info) {
+      if (!args.query.trim().length) {
+        throw new UserInputError('INVALID_QUERY')
+      }
+
+      return await searchCatalog(models, user, args)
+    },
+  },
+}
+
+export default resolvers
@@ -0,0 +1,53 @@
+import { gql } from 'apollo-server'
+
+const typeDefs = gql`
+  enum SearchKind {
+    COMPETENCY
+    COURSE
+    PARTNER
+    PROGRAM
+  }
+
+  union SearchItem = Competency | Course | Partner | Program
+
+  type SearchFacets {
+    field: [FacetCount!]!
+    language: [FacetCount!]!
+    tags: [FacetCount!]!
+    type: [FacetCount!]!
+  }
+
+  type SearchHighlight {
+    field: String!
+    snippet: String!
+  }
+
+  type SearchResult {
+    highlights: [SearchHighlight!]!
+    item: SearchItem!
+    kind: SearchKind!
+    score: Float!
+  }
+
+  type SearchResults {
+    facets: SearchFacets!
+    results: [SearchResult!]!
+    total: Int!
+  }
+
+  extend type Query {
+    search(
+      field: String
+      kinds: [SearchKind!]
+      language: String
+      limit: Int
+      offset: Int
+      partner: ID
+      query: String!
+      tags: [String!]
+      type: String
+    ): SearchResults!
+  }
+`
+
+export default typeDefs
@@ -0,0 +1,9 @@
+import Session from './session.model.js'
+import typeDef from './typeDef.js'
+import resolvers from './resolvers.js'
+
+export default {
+  Session,
+  typeDef,
+  resolvers,
+}
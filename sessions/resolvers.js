@@ -0,0 +1,68 @@
+import Bugsnag from '@bugsnag/js'
+import { UserInputError } from 'apollo-server'
+
+const resolvers = {
+  Session: {
+    // Retrieve the 'id' of this session from the MongoDB '_id'.
+    id(session, _args, _context, _info) {
+      return session._id.toString()
+    },
+    // Retrieve whether this session is the one of the connected user.
+    isCurrent(session, _args, { user }, _info) {
+      return session._id.toString() === user.session
+    },
+  },
+  Query: {
+    // Retrieve all the active sessions of the connected user.
+    async mySessions(_parent, _args, { models, user }, _info) {
+      const { Session } = models
+
+      return await Session.find(
+        { expires: { $gt: new Date() }, user: user.id },
+        '-tokenId',
+        { sort: { lastUsed: -1 } }
+      ).lean()
+    },
+  },
+  Mutation: {
+    // Revoke all the sessions of the connected user,
+    // possibly except the current one.
+    async revokeAllSessions(_parent, args, { models, user }, _info) {
+      const { Session } = models
+
+      const filter = { user: user.id }
+      if (args.exceptCurrent && user.session) {
+        filter._id = { $ne: user.session }
+      }
+
+      try {
+        await Session.deleteMany(filter)
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+    // Revoke one given session of the connected user.
+    async revokeSession(_parent, args, { models, user }, _info) {
+      const { Session } = models
+
+      const session = await Session.findOne({ _id: args.id, user: user.id })
+      if (!session) {
+        throw new UserInputError('SESSION_NOT_FOUND')
+      }
+
+      try {
+        await session.delete()
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+  },
+}
+
+export default resolvers
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose'
+
+const { model, Schema } = mongoose
+
+const SessionSchema = new Schema({
+  created: {
+    type: Date,
+    default: Date.now,
+  },
+  device: {
+    type: String,
+    trim: true,
+  },
+  expires: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  lastUsed: {
+    type: Date,
+  },
+  tokenId: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+})
+
+export default model('Session', SessionSchema)
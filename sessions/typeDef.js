@@ -0,0 +1,25 @@
+import { gql } from 'apollo-server'
+
+const typeDefs = gql`
+  type Session {
+    created: DateTime!
+    device: String
+    expires: DateTime!
+    id: ID!
+    ip: String
+    isCurrent: Boolean!
+    lastUsed: DateTime
+  }
+
+  extend type Query {
+    mySessions: [Session!]! @auth
+  }
+
+  extend type Mutation {
+    revokeAllSessions(exceptCurrent: Boolean): Boolean
+      @auth(impersonable: false)
+    revokeSession(id: ID!): Boolean @auth(impersonable: false)
+  }
+`
+
+export default typeDefs
@@ -0,0 +1,9 @@
+import Settings from './settings.model.js'
+import typeDef from './typeDef.js'
+import resolvers from './resolvers.js'
+
+export default {
+  Settings,
+  typeDef,
+  resolvers,
+}
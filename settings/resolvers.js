@@ -0,0 +1,46 @@
+import Bugsnag from '@bugsnag/js'
+
+import { getSettings } from '../lib/settings.js'
+
+const resolvers = {
+  Settings: {
+    // Retrieve the roles for which two-factor authentication is mandatory.
+    twoFactorRoles(settings, _args, _context, _info) {
+      return (settings.twoFactorRoles ?? []).map((r) => r.toUpperCase())
+    },
+  },
+  Query: {
+    async settings(_parent, _args, { models }, _info) {
+      return await getSettings(models)
+    },
+  },
+  Mutation: {
+    // Edit the platform-wide settings.
+    async editSettings(_parent, args, { models, user }, _info) {
+      const { Settings } = models
+
+      // Retrieve the settings document or create it the first time.
+      const settings = (await Settings.findOne()) ?? new Settings()
+
+      // Edit the settings mongoose object.
+      if (args.twoFactorRoles) {
+        settings.twoFactorRoles = [
+          ...new Set(args.twoFactorRoles.map((r) => r.toLowerCase())),
+        ]
+      }
+      settings.updated = new Date()
+      settings.user = user.id
+
+      // Save the settings into the database.
+      try {
+        return await settings.save()
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+  },
+}
+
+export default resolvers
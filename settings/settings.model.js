@@ -0,0 +1,24 @@
+import mongoose from 'mongoose'
+
+const { model, Schema } = mongoose
+
+const SettingsSchema = new Schema({
+  twoFactorRoles: {
+    type: [
+      {
+        type: String,
+        enum: ['user', 'student', 'teacher', 'manager', 'admin'],
+      },
+    ],
+    default: undefined,
+  },
+  updated: {
+    type: Date,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+})
+
+export default model('Settings', SettingsSchema)
@@ -0,0 +1,18 @@
+import { gql } from 'apollo-server'
+
+const typeDefs = gql`
+  type Settings {
+    twoFactorRoles: [Role!]!
+    updated: DateTime
+  }
+
+  extend type Query {
+    settings: Settings @auth(requires: ADMIN)
+  }
+
+  extend type Mutation {
+    editSettings(twoFactorRoles: [Role!]): Settings @auth(requires: ADMIN)
+  }
+`
+
+export default typeDefs
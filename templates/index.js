@@ -0,0 +1,9 @@
+import Template from './template.model.js'
+import typeDef from './typeDef.js'
+import resolvers from './resolvers.js'
+
+export default {
+  Template,
+  typeDef,
+  resolvers,
+}
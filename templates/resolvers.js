@@ -0,0 +1,362 @@
+import Bugsnag from '@bugsnag/js'
+import { UserInputError } from 'apollo-server'
+import { DateTime } from 'luxon'
+
+import { copyCourse, isCoordinator, isTeacher } from '../lib/courses.js'
+import { cleanString } from '../lib/utils.js'
+
+const SCHEDULE_EVENTS = [
+  'end',
+  'evaluationRequestsEnd',
+  'evaluationsEnd',
+  'registrationsEnd',
+  'registrationsStart',
+  'start',
+]
+
+// Build the filter selecting the templates that a user can access,
+// that is, his/her own ones, the public ones and, for teachers,
+// the ones shared with colleagues.
+function getAccessFilter(user) {
+  if (user.roles.includes('admin')) {
+    return {}
+  }
+
+  const filter = { $or: [{ user: user.id }, { visibility: 'public' }] }
+  if (user.roles.includes('teacher')) {
+    filter.$or.push({ visibility: 'colleagues' })
+  }
+
+  return filter
+}
+
+// Check whether a user can give a visibility to a template saved from
+// a course, only its coordinator being allowed to make it public.
+async function canSetVisibility(models, template, user, visibility) {
+  const { Course } = models
+
+  if (visibility !== 'public') {
+    return true
+  }
+
+  const course = await Course.findOne(
+    { _id: template.course },
+    'coordinator'
+  ).lean()
+  return !!course && isCoordinator(course, user)
+}
+
+// Handle errors resulting from the creation or edit of a template,
+// or from the creation of a course from a template.
+function handleError(err) {
+  const formErrors = {}
+
+  switch (err.name) {
+    case 'MongoServerError':
+      switch (err.code) {
+        case 11000:
+          throw new UserInputError('EXISTING_CODE', {
+            formErrors: {
+              code: 'The specified code already exists',
+            },
+          })
+      }
+      break
+
+    case 'ValidationError':
+      Object.keys(err.errors).forEach(
+        (e) => (formErrors[e] = err.errors[e].properties?.message)
+      )
+      throw new UserInputError('VALIDATION_ERROR', { formErrors })
+  }
+
+  Bugsnag.notify(err)
+}
+
+// Remove the specified fields from a document.
+function omit(document, fields) {
+  return Object.fromEntries(
+    Object.entries(document).filter(([field]) => !fields.includes(field))
+  )
+}
+
+// Replace the placeholders such as '{{code}}' found in a text.
+function fillPlaceholders(text, values) {
+  return text?.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) =>
+    values[name] !== undefined ? values[name] : placeholder
+  )
+}
+
+// Shift all the dates of a course and of its assessments
+// so that the course starts at the specified date.
+function shiftDates(course, assessments, start) {
+  const dates = SCHEDULE_EVENTS.map((e) => course.schedule?.[e]).filter(
+    (d) => d
+  )
+  if (!dates.length) {
+    course.schedule = { start }
+    return
+  }
+
+  // The reference is the start of the course, or its earliest event.
+  const reference = course.schedule.start ?? new Date(Math.min(...dates))
+  const offset = DateTime.fromJSDate(start).diff(DateTime.fromJSDate(reference))
+  const shift = (date) =>
+    date ? DateTime.fromJSDate(date).plus(offset).toJSDate() : date
+
+  for (const event of SCHEDULE_EVENTS) {
+    course.schedule[event] = shift(course.schedule[event])
+  }
+  for (const step of course.progressGuide ?? []) {
+    step.date = shift(step.date)
+  }
+  for (const assessment of assessments) {
+    assessment.start = shift(assessment.start)
+    assessment.end = shift(assessment.end)
+  }
+}
+
+// Take a snapshot of the content of a course and of its assessments,
+// so that later changes to the course do not affect the template,
+// leaving out its staff, its teaching groups and its lifecycle.
+async function takeSnapshot(models, course) {
+  const { Assessment } = models
+
+  const assessments = await Assessment.find({ course: course._id })
+    .sort({ created: 1 })
+    .lean()
+
+  return {
+    assessments: assessments.map((a) =>
+      omit(a, ['__v', '_id', 'clonedFrom', 'course', 'created', 'user'])
+    ),
+    course: {
+      ...omit(course, [
+        '__v',
+        '_id',
+        'archived',
+        'banner',
+        'clonedFrom',
+        'closed',
+        'code',
+        'coordinator',
+        'created',
+        'published',
+        'staff',
+        'started',
+        'teachers',
+        'transitions',
+        'user',
+        'waivers',
+      ]),
+      groups: course.groups && { working: course.groups.working },
+    },
+  }
+}
+
+const resolvers = {
+  TemplateVisibility: {
+    COLLEAGUES: 'colleagues',
+    PRIVATE: 'private',
+    PUBLIC: 'public',
+  },
+  Template: {
+    // Retrieve the course this template has been saved from.
+    async course(template, _args, { models }, _info) {
+      const { Course } = models
+
+      return await Course.findOne({ _id: template.course })
+    },
+    // Retrieve the 'id' of this template from the MongoDB '_id'.
+    id(template, _args, _context, _info) {
+      return template._id.toString()
+    },
+    isOwner(template, _args, { user }, _info) {
+      return template.user.toString() === user.id
+    },
+    async user(template, _args, { models }, _info) {
+      const { User } = models
+
+      return await User.findOne({ _id: template.user })
+    },
+  },
+  Query: {
+    // Retrieve one given template accessible to the connected user.
+    async template(_parent, args, { models, user }, _info) {
+      const { Template } = models
+
+      const template = await Template.findOne({
+        _id: args.id,
+        ...getAccessFilter(user),
+      }).lean()
+      if (!template) {
+        throw new UserInputError('TEMPLATE_NOT_FOUND')
+      }
+
+      return template
+    },
+    // Retrieve all the templates accessible to the connected user.
+    async templates(_parent, args, { models, user }, _info) {
+      const { Template } = models
+
+      return await Template.find(getAccessFilter(user), null, {
+        skip: Math.max(0, args.offset ?? 0),
+        limit: args.limit,
+        sort: { name: 1 },
+      }).lean()
+    },
+  },
+  Mutation: {
+    // Create a new course from a template, shifting its schedule
+    // and filling in the placeholders of its texts.
+    async createCourseFromTemplate(_parent, args, { models, user }, _info) {
+      const { Template } = models
+
+      const template = await Template.findOne({
+        _id: args.template,
+        ...getAccessFilter(user),
+      }).lean()
+      if (!template) {
+        throw new UserInputError('TEMPLATE_NOT_FOUND')
+      }
+
+      const start = args.start ? new Date(args.start) : undefined
+      const values = {
+        code: args.code,
+        name: args.name,
+        year: DateTime.fromJSDate(start ?? new Date()).year,
+      }
+
+      // Create the course from the snapshot of the template,
+      // the connected user becoming its coordinator.
+      try {
+        return await copyCourse(
+          models,
+          template.snapshot.course,
+          template.snapshot.assessments,
+          user,
+          args.code,
+          (clone, assessments) => {
+            clone.clonedFrom = template.course
+            clone.coordinator = user.id
+            clone.name = args.name
+
+            for (const field of ['colophon', 'description']) {
+              clone[field] = fillPlaceholders(clone[field], values)
+            }
+            for (const assessment of assessments) {
+              for (const field of ['code', 'description', 'name']) {
+                assessment[field] = fillPlaceholders(assessment[field], values)
+              }
+            }
+
+            if (start) {
+              shiftDates(clone, assessments, start)
+            }
+          }
+        )
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Save a snapshot of a course as a new template,
+    // which can only be made public by the coordinator of the course.
+    async createTemplate(_parent, args, { models, user }, _info) {
+      const { Course, Template } = models
+
+      // Clean up the optional args.
+      cleanString(args, 'description')
+
+      const course = await Course.findOne({ code: args.courseCode }).lean()
+      if (
+        !course ||
+        !(isCoordinator(course, user) || isTeacher(course, user))
+      ) {
+        throw new UserInputError('COURSE_NOT_FOUND')
+      }
+      if (
+        !(await canSetVisibility(
+          models,
+          { course: course._id },
+          user,
+          args.visibility
+        ))
+      ) {
+        throw new UserInputError('TEMPLATE_VISIBILITY_NOT_ALLOWED')
+      }
+
+      const template = new Template({
+        course: course._id,
+        description: args.description,
+        name: args.name,
+        snapshot: await takeSnapshot(models, course),
+        user: user.id,
+        visibility: args.visibility,
+      })
+
+      try {
+        return await template.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Delete one given template of the connected user.
+    async deleteTemplate(_parent, args, { models, user }, _info) {
+      const { Template } = models
+
+      const template = await Template.findOne({ _id: args.id, user: user.id })
+      if (!template) {
+        throw new UserInputError('TEMPLATE_NOT_FOUND')
+      }
+
+      try {
+        await template.delete()
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+    // Edit one given template of the connected user.
+    async editTemplate(_parent, args, { models, user }, _info) {
+      const { Template } = models
+
+      const template = await Template.findOne({ _id: args.id, user: user.id })
+      if (!template) {
+        throw new UserInputError('TEMPLATE_NOT_FOUND')
+      }
+
+      // Clean up the optional args.
+      cleanString(args, 'description')
+
+      if (
+        args.visibility &&
+        args.visibility !== template.visibility &&
+        !(await canSetVisibility(models, template, user, args.visibility))
+      ) {
+        throw new UserInputError('TEMPLATE_VISIBILITY_NOT_ALLOWED')
+      }
+
+      template.description = args.description
+      template.name = args.name
+      if (args.visibility) {
+        template.visibility = args.visibility
+      }
+
+      try {
+        return await template.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+  },
+}
+
+export default resolvers
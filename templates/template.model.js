@@ -0,0 +1,40 @@
+import mongoose from 'mongoose'
+
+const { model, Schema } = mongoose
+
+const TemplateSchema = new Schema({
+  course: {
+    type: Schema.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  created: {
+    type: Date,
+    default: Date.now,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  name: {
+    type: String,
+    required: 'Name cannot be blank.',
+    trim: true,
+  },
+  snapshot: {
+    type: Object,
+    required: true,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  visibility: {
+    type: String,
+    enum: ['colleagues', 'private', 'public'],
+    default: 'private',
+  },
+})
+
+export default model('Template', TemplateSchema)
@@ -0,0 +1,49 @@
+import { gql } from 'apollo-server'
+
+const typeDefs = gql`
+  enum TemplateVisibility {
+    COLLEAGUES
+    PRIVATE
+    PUBLIC
+  }
+
+  type Template {
+    course: Course
+    created: DateTime!
+    description: String
+    id: ID!
+    isOwner: Boolean
+    name: String!
+    user: User!
+    visibility: TemplateVisibility!
+  }
+
+  extend type Query {
+    template(id: ID!): Template @auth
+    templates(offset: Int, limit: Int): [Template!]! @auth
+  }
+
+  extend type Mutation {
+    createCourseFromTemplate(
+      code: String!
+      name: String!
+      start: DateTime
+      template: ID!
+    ): Course @auth(requires: TEACHER)
+    createTemplate(
+      courseCode: ID!
+      description: String
+      name: String!
+      visibility: TemplateVisibility
+    ): Template @auth(requires: TEACHER)
+    deleteTemplate(id: ID!): Boolean @auth(requires: TEACHER)
+    editTemplate(
+      description: String
+      id: ID!
+      name: String!
+      visibility: TemplateVisibility
+    ): Template @auth(requires: TEACHER)
+  }
+`
+
+export default typeDefs
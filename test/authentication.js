@@ -0,0 +1,296 @@
+import { ApolloServer } from 'apollo-server'
+import chai from 'chai'
+import dotenv from 'dotenv'
+import jwt from 'jsonwebtoken'
+import { DateTime } from 'luxon'
+import { after, before, describe, it } from 'mocha'
+
+import { models, schema } from '../data/schema.js'
+import { recordAttempt } from '../lib/attempts.js'
+import { connectDB } from '../lib/mongoose.js'
+import {
+  generateAccessToken,
+  getTokenUser,
+  isSessionActive,
+} from '../lib/tokens.js'
+
+const expect = chai.expect
+
+dotenv.config({ path: `.env.${process.env.NODE_ENV}` })
+
+const env = {
+  ...process.env,
+  JWT_ACCESS_TOKEN_SECRET: 'access',
+  JWT_REFRESH_TOKEN_SECRET: 'refresh',
+}
+
+// Execute an operation on a test server, as a given user, if any.
+function execute(testServer, query, variables, user = null) {
+  return testServer.executeOperation({ query, variables }, { user })
+}
+
+describe('Test refresh token rotation', () => {
+  let testServer
+  let account
+
+  const REFRESH_TOKEN =
+    'mutation RefreshToken($token: String!) { refreshToken(token: $token) { refreshToken token } }'
+
+  // Open a new session for the test account, with its refresh token.
+  const openSession = async function () {
+    const session = await new models.Session({
+      expires: DateTime.now().plus({ days: 14 }).toJSDate(),
+      tokenId: 'initial',
+      user: account._id,
+    }).save()
+
+    return {
+      session,
+      token: jwt.sign(
+        { id: account._id, roles: account.roles, session: session._id },
+        env.JWT_REFRESH_TOKEN_SECRET,
+        { expiresIn: '14d', jwtid: session.tokenId }
+      ),
+    }
+  }
+
+  before(async () => {
+    await connectDB(process.env.MONGODB_URI)
+
+    testServer = new ApolloServer({
+      schema,
+      context: ({ user }) => ({ env, models, user }),
+    })
+
+    account = await new models.User({
+      email: 'rotation@tlca.test',
+      emailConfirmed: new Date(),
+      provider: 'local',
+      roles: ['user'],
+      username: 'rotation',
+    }).save()
+  })
+
+  after(async () => {
+    await testServer.stop()
+  })
+
+  it('should rotate the refresh token of a session', async () => {
+    const { session, token } = await openSession()
+
+    const result = await execute(testServer, REFRESH_TOKEN, { token })
+
+    expect(result.errors).to.be.undefined
+    expect(result.data.refreshToken.token).to.be.a('string')
+    expect(result.data.refreshToken.refreshToken).to.not.equal(token)
+    expect(
+      (await models.Session.findOne({ _id: session._id })).tokenId
+    ).to.not.equal('initial')
+  })
+
+  it('should only rotate a refresh token once for concurrent requests', async () => {
+    const { token } = await openSession()
+
+    const results = await Promise.all(
+      [1, 2, 3].map(() => execute(testServer, REFRESH_TOKEN, { token }))
+    )
+
+    expect(results.filter((r) => !r.errors)).to.have.lengthOf(1)
+    for (const result of results.filter((r) => r.errors)) {
+      expect(result.errors[0].message).to.be.oneOf([
+        'INVALID_REFRESH_TOKEN',
+        'REFRESH_TOKEN_REUSED',
+      ])
+    }
+  })
+
+  it('should revoke the session when a rotated refresh token is reused', async () => {
+    const { session, token } = await openSession()
+
+    await execute(testServer, REFRESH_TOKEN, { token })
+    const result = await execute(testServer, REFRESH_TOKEN, { token })
+
+    expect(result.errors[0].message).to.equal('REFRESH_TOKEN_REUSED')
+    expect(await models.Session.exists({ _id: session._id })).to.be.null
+  })
+})
+
+describe('Test user deactivation', () => {
+  let testServer
+  let admin
+  let account
+
+  const DEACTIVATE_USER =
+    'mutation DeactivateUser($username: ID!) { deactivateUser(username: $username) { username } }'
+
+  before(async () => {
+    await connectDB(process.env.MONGODB_URI)
+
+    testServer = new ApolloServer({
+      schema,
+      context: ({ user }) => ({ env, models, user }),
+    })
+
+    admin = await new models.User({
+      email: 'deactivation-admin@tlca.test',
+      emailConfirmed: new Date(),
+      provider: 'local',
+      roles: ['user', 'admin'],
+      username: 'deactivationadmin',
+    }).save()
+    account = await new models.User({
+      email: 'deactivation@tlca.test',
+      emailConfirmed: new Date(),
+      provider: 'local',
+      roles: ['user'],
+      username: 'deactivation',
+    }).save()
+  })
+
+  after(async () => {
+    await testServer.stop()
+  })
+
+  it('should revoke the sessions and access tokens of a deactivated user', async () => {
+    const session = await new models.Session({
+      expires: DateTime.now().plus({ days: 14 }).toJSDate(),
+      tokenId: 'deactivation',
+      user: account._id,
+    }).save()
+    const { hash, value } = generateAccessToken()
+    await new models.Token({
+      expires: DateTime.now().plus({ days: 30 }).toJSDate(),
+      hash,
+      name: 'Script',
+      prefix: value.slice(0, 9),
+      user: account._id,
+    }).save()
+
+    const userinfo = { id: account._id.toString(), session: session._id }
+    expect(await isSessionActive(models, userinfo)).to.be.true
+    expect(await getTokenUser(models, value)).to.not.be.null
+
+    const result = await execute(
+      testServer,
+      DEACTIVATE_USER,
+      { username: account.username },
+      { id: admin._id.toString(), roles: admin.roles }
+    )
+
+    expect(result.errors).to.be.undefined
+    expect(await isSessionActive(models, userinfo)).to.be.false
+    expect(await getTokenUser(models, value)).to.be.null
+    expect(await models.Session.exists({ user: account._id })).to.be.null
+    expect(await models.Token.exists({ user: account._id })).to.be.null
+  })
+
+  it('should refuse the deactivation to users who are not administrators', async () => {
+    const result = await execute(
+      testServer,
+      DEACTIVATE_USER,
+      { username: admin.username },
+      { id: account._id.toString(), roles: account.roles }
+    )
+
+    expect(result.errors[0].extensions.code).to.equal('UNAUTHENTICATED')
+  })
+})
+
+describe('Test forced password reset', () => {
+  let testServer
+  let admin
+  let account
+
+  const FORCE_PASSWORD_RESET =
+    'mutation ForcePasswordReset($username: ID!) { forcePasswordReset(username: $username) }'
+
+  before(async () => {
+    await connectDB(process.env.MONGODB_URI)
+
+    testServer = new ApolloServer({
+      schema,
+      context: ({ user }) => ({
+        env,
+        models,
+        smtpTransport: { sendMail: async () => {} },
+        user,
+      }),
+    })
+
+    admin = await new models.User({
+      email: 'reset-admin@tlca.test',
+      emailConfirmed: new Date(),
+      provider: 'local',
+      roles: ['user', 'admin'],
+      username: 'resetadmin',
+    }).save()
+    account = await new models.User({
+      email: 'reset@tlca.test',
+      emailConfirmed: new Date(),
+      provider: 'local',
+      roles: ['user'],
+      username: 'reset',
+    }).save()
+  })
+
+  after(async () => {
+    await testServer.stop()
+  })
+
+  it('should revoke the sessions and access tokens of the user', async () => {
+    const session = await new models.Session({
+      expires: DateTime.now().plus({ days: 14 }).toJSDate(),
+      tokenId: 'reset',
+      user: account._id,
+    }).save()
+    const { hash, value } = generateAccessToken()
+    await new models.Token({
+      expires: DateTime.now().plus({ days: 30 }).toJSDate(),
+      hash,
+      name: 'Script',
+      prefix: value.slice(0, 9),
+      user: account._id,
+    }).save()
+
+    const result = await execute(
+      testServer,
+      FORCE_PASSWORD_RESET,
+      { username: account.username },
+      { id: admin._id.toString(), roles: admin.roles }
+    )
+
+    expect(result.errors).to.be.undefined
+    expect(result.data.forcePasswordReset).to.be.true
+    expect(
+      await isSessionActive(models, {
+        id: account._id.toString(),
+        session: session._id,
+      })
+    ).to.be.false
+    expect(await getTokenUser(models, value)).to.be.null
+    expect(await models.Token.exists({ user: account._id })).to.be.null
+  })
+})
+
+describe('Test attempt recording', () => {
+  before(async () => {
+    await connectDB(process.env.MONGODB_URI)
+  })
+
+  it('should count concurrent attempts and only lock a key once', async () => {
+    const keys = ['account:concurrent']
+
+    const locked = await Promise.all(
+      Array.from({ length: 12 }, () => recordAttempt(models, 'signIn', keys))
+    )
+
+    expect(locked.flat()).to.have.lengthOf(1)
+    const attempt = await models.Attempt.findOne({
+      action: 'signIn',
+      key: keys[0],
+    }).lean()
+    expect(attempt.count).to.equal(12)
+    expect(attempt.locked).to.be.a('date')
+    expect(attempt.unlockToken).to.equal(locked.flat()[0].unlockToken)
+  })
+})
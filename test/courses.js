@@ -0,0 +1,336 @@
+import { ApolloServer } from 'apollo-server'
+import chai from 'chai'
+import dotenv from 'dotenv'
+import { after, before, describe, it } from 'mocha'
+
+import { models, schema } from '../data/schema.js'
+import { connectDB } from '../lib/mongoose.js'
+
+const expect = chai.expect
+
+dotenv.config({ path: `.env.${process.env.NODE_ENV}` })
+
+let testServer
+
+// Execute an operation as a given user, identified by his/her document.
+async function execute(query, variables, user) {
+  return await testServer.executeOperation(
+    { query, variables },
+    { user: { id: user._id.toString(), roles: [...user.roles] } }
+  )
+}
+
+// Create a user with confirmed email address and the given roles.
+async function createUser(username, roles) {
+  return await new models.User({
+    email: `${username}@tlca.test`,
+    emailConfirmed: new Date(),
+    provider: 'local',
+    roles: ['user', ...roles],
+    username,
+  }).save()
+}
+
+// Create a published course coordinated by a given user,
+// with a single basic competency.
+async function createCourse(code, coordinator, fields = {}) {
+  const competency = await new models.Competency({
+    code: `${code}-K`,
+    name: `Competency of ${code}`,
+  }).save()
+
+  return await new models.Course({
+    code,
+    competencies: [{ category: 'basic', competency: competency._id }],
+    coordinator: coordinator._id,
+    description: `Course ${code}`,
+    name: `Course ${code}`,
+    published: new Date(),
+    ...fields,
+  }).save()
+}
+
+describe('Test courses', () => {
+  before(async () => {
+    await connectDB(process.env.MONGODB_URI)
+
+    testServer = new ApolloServer({
+      schema,
+      context: ({ user }) => ({
+        env: process.env,
+        models,
+        smtpTransport: { sendMail: async () => {} },
+        user,
+      }),
+    })
+  })
+
+  after(async () => {
+    await testServer.stop()
+  })
+
+  describe('Test course staff permissions', () => {
+    let coordinator
+    let assistant
+    let grader
+    let student
+
+    const ADD_STAFF_MEMBER =
+      'mutation AddStaffMember($courseCode: ID!, $role: StaffRole!, $username: ID!) { addStaffMember(courseCode: $courseCode, role: $role, username: $username) { code } }'
+    const EDIT_COURSE =
+      'mutation EditCourse($code: String!, $competencies: [CourseCompetencyInput!], $teachers: [ID!]) { editCourse(code: $code, competencies: $competencies, teachers: $teachers) { code } }'
+    const REGISTRATIONS =
+      'query Registrations($courseCode: ID!) { registrations(courseCode: $courseCode) { id } }'
+
+    before(async () => {
+      coordinator = await createUser('staffcoordinator', ['teacher'])
+      assistant = await createUser('staffassistant', ['teacher'])
+      grader = await createUser('staffgrader', ['teacher'])
+      student = await createUser('staffstudent', ['student'])
+
+      await createCourse('STAFF', coordinator)
+    })
+
+    it('should refuse to add users without the teacher role to the staff', async () => {
+      const result = await execute(
+        ADD_STAFF_MEMBER,
+        { courseCode: 'STAFF', role: 'ASSISTANT', username: student.username },
+        coordinator
+      )
+
+      expect(result.errors[0].message).to.equal('STAFF_MEMBER_NOT_TEACHER')
+    })
+
+    it('should refuse to set users without the teacher role as teachers', async () => {
+      const result = await execute(
+        EDIT_COURSE,
+        {
+          code: 'STAFF',
+          competencies: [{ category: 'BASIC', competency: 'STAFF-K' }],
+          teachers: [student.username],
+        },
+        coordinator
+      )
+
+      expect(result.errors[0].message).to.equal('STAFF_MEMBER_NOT_TEACHER')
+    })
+
+    it('should only let the coordinator add staff members', async () => {
+      const result = await execute(
+        ADD_STAFF_MEMBER,
+        { courseCode: 'STAFF', role: 'GRADER', username: grader.username },
+        assistant
+      )
+
+      expect(result.errors[0].message).to.equal('COURSE_NOT_FOUND')
+    })
+
+    it('should grant the staff members the permissions of their role', async () => {
+      for (const [member, role] of [
+        [assistant, 'ASSISTANT'],
+        [grader, 'GRADER'],
+      ]) {
+        const result = await execute(
+          ADD_STAFF_MEMBER,
+          { courseCode: 'STAFF', role, username: member.username },
+          coordinator
+        )
+        expect(result.errors).to.be.undefined
+      }
+
+      // Assistants can view the registrations, but graders cannot.
+      const allowed = await execute(
+        REGISTRATIONS,
+        { courseCode: 'STAFF' },
+        assistant
+      )
+      expect(allowed.errors).to.be.undefined
+      expect(allowed.data.registrations).to.be.an('array')
+
+      const refused = await execute(
+        REGISTRATIONS,
+        { courseCode: 'STAFF' },
+        grader
+      )
+      expect(refused.errors[0].message).to.equal('COURSE_NOT_FOUND')
+    })
+  })
+
+  describe('Test course lifecycle enforcement', () => {
+    let coordinator
+    let student
+    let assessment
+
+    const CHANGE_STATUS = (mutation) =>
+      `mutation ChangeStatus($code: ID!) { ${mutation}(code: $code) { status } }`
+    const CREATE_EVALUATION =
+      'mutation CreateEvaluation($assessment: ID!, $learner: ID!) { createEvaluation(assessment: $assessment, learner: $learner) { id } }'
+    const REQUEST_EVALUATION =
+      'mutation RequestEvaluation($assessment: ID!) { requestEvaluation(assessment: $assessment) { id } }'
+    const SEND_INVITATION =
+      'mutation SendInvitation($courseCode: ID!, $email: String!) { sendInvitation(courseCode: $courseCode, email: $email) { id } }'
+
+    before(async () => {
+      coordinator = await createUser('lifecoordinator', ['teacher'])
+      student = await createUser('lifestudent', ['student'])
+
+      const course = await createCourse('LIFE', coordinator, {
+        visibility: 'invite-only',
+      })
+      assessment = await new models.Assessment({
+        category: 'exercise',
+        competencies: [{ competency: course.competencies[0].competency }],
+        course: course._id,
+        description: 'Assessment of the lifecycle tests',
+        evaluationRequest: true,
+        name: 'Lifecycle assessment',
+      }).save()
+      await new models.Registration({
+        course: course._id,
+        date: new Date(),
+        user: student._id,
+      }).save()
+    })
+
+    it('should refuse evaluations while the course is not running', async () => {
+      const created = await execute(
+        CREATE_EVALUATION,
+        { assessment: assessment._id.toString(), learner: student.username },
+        coordinator
+      )
+      expect(created.errors[0].message).to.equal('COURSE_NOT_RUNNING')
+
+      const requested = await execute(
+        REQUEST_EVALUATION,
+        { assessment: assessment._id.toString() },
+        student
+      )
+      expect(requested.errors[0].message).to.equal('EVALUATION_REQUEST')
+    })
+
+    it('should refuse invitations and evaluations once the course is closed', async () => {
+      for (const mutation of ['startCourse', 'closeCourse']) {
+        const result = await execute(
+          CHANGE_STATUS(mutation),
+          { code: 'LIFE' },
+          coordinator
+        )
+        expect(result.errors).to.be.undefined
+      }
+
+      const invited = await execute(
+        SEND_INVITATION,
+        { courseCode: 'LIFE', email: 'lifeinvited@tlca.test' },
+        coordinator
+      )
+      expect(invited.errors[0].message).to.equal('INVITATION_SENDING_FAILED')
+
+      const created = await execute(
+        CREATE_EVALUATION,
+        { assessment: assessment._id.toString(), learner: student.username },
+        coordinator
+      )
+      expect(created.errors[0].message).to.equal('COURSE_NOT_RUNNING')
+    })
+
+    it('should accept invitations again once the course is reopened', async () => {
+      const reopened = await execute(
+        CHANGE_STATUS('reopenCourse'),
+        { code: 'LIFE' },
+        coordinator
+      )
+      expect(reopened.errors).to.be.undefined
+      expect(reopened.data.reopenCourse.status).to.equal('RUNNING')
+
+      const invited = await execute(
+        SEND_INVITATION,
+        { courseCode: 'LIFE', email: 'lifeinvited@tlca.test' },
+        coordinator
+      )
+      expect(invited.errors).to.be.undefined
+    })
+  })
+
+  describe('Test course prerequisites enforcement', () => {
+    let coordinator
+    let learner
+    let requester
+    let waived
+    let course
+
+    const ACCEPT_INVITATION_REQUEST =
+      'mutation AcceptInvitationRequest($id: ID!) { acceptInvitationRequest(id: $id) { id } }'
+    const REQUEST_INVITATION =
+      'mutation RequestInvitation($courseCode: ID!) { requestInvitation(courseCode: $courseCode) { id } }'
+    const SEND_INVITATION =
+      'mutation SendInvitation($courseCode: ID!, $email: String!) { sendInvitation(courseCode: $courseCode, email: $email) { id } }'
+
+    before(async () => {
+      coordinator = await createUser('preqcoordinator', ['teacher'])
+      learner = await createUser('preqlearner', ['student'])
+      requester = await createUser('preqrequester', ['student'])
+      waived = await createUser('preqwaived', ['student'])
+
+      const competency = await new models.Competency({
+        code: 'PREQ-REQUIRED',
+        name: 'Required competency',
+      }).save()
+      course = await createCourse('PREQ', coordinator, {
+        prerequisites: [{ competency: competency._id }],
+        visibility: 'invite-only',
+        waivers: [{ user: waived._id }],
+      })
+    })
+
+    it('should refuse invitation requests from learners missing prerequisites', async () => {
+      const result = await execute(
+        REQUEST_INVITATION,
+        { courseCode: 'PREQ' },
+        learner
+      )
+
+      expect(result.errors[0].message).to.equal('UNMET_PREREQUISITES')
+      expect(result.errors[0].extensions.prerequisites).to.deep.equal([
+        { competency: 'PREQ-REQUIRED' },
+      ])
+    })
+
+    it('should refuse to invite learners missing prerequisites', async () => {
+      const result = await execute(
+        SEND_INVITATION,
+        { courseCode: 'PREQ', email: learner.email },
+        coordinator
+      )
+
+      expect(result.errors[0].message).to.equal('UNMET_PREREQUISITES')
+    })
+
+    it('should refuse to accept invitation requests from learners missing prerequisites', async () => {
+      const registration = await new models.Registration({
+        course: course._id,
+        invitation: 'requested',
+        invitationDate: new Date(),
+        user: requester._id,
+      }).save()
+
+      const result = await execute(
+        ACCEPT_INVITATION_REQUEST,
+        { id: registration._id.toString() },
+        coordinator
+      )
+
+      expect(result.errors[0].message).to.equal('UNMET_PREREQUISITES')
+    })
+
+    it('should let learners with a waiver request an invitation', async () => {
+      const result = await execute(
+        REQUEST_INVITATION,
+        { courseCode: 'PREQ' },
+        waived
+      )
+
+      expect(result.errors).to.be.undefined
+      expect(result.data.requestInvitation.id).to.be.a('string')
+    })
+  })
+})
@@ -0,0 +1,127 @@
+import { ApolloServer } from 'apollo-server'
+import chai from 'chai'
+import dotenv from 'dotenv'
+import { after, before, describe, it } from 'mocha'
+
+import { models, schema } from '../data/schema.js'
+import { connectDB } from '../lib/mongoose.js'
+
+const expect = chai.expect
+
+dotenv.config({ path: `.env.${process.env.NODE_ENV}` })
+
+describe('Test user directory filters', () => {
+  let testServer
+  const users = {}
+
+  const SEARCH_USERS =
+    'query SearchUsers($courseCode: ID, $programCode: ID) { searchUsers(courseCode: $courseCode, programCode: $programCode) { total users { username } } }'
+
+  // Search the users as a given one, by course and/or program.
+  const searchUsers = async function (username, variables) {
+    const user = users[username]
+    return await testServer.executeOperation(
+      { query: SEARCH_USERS, variables },
+      { user: { id: user._id.toString(), roles: [...user.roles] } }
+    )
+  }
+
+  before(async () => {
+    await connectDB(process.env.MONGODB_URI)
+
+    testServer = new ApolloServer({
+      schema,
+      context: ({ user }) => ({ env: process.env, models, user }),
+    })
+
+    for (const [username, roles] of [
+      ['dircoordinator', ['user', 'teacher']],
+      ['dirobserver', ['user', 'teacher']],
+      ['dirgrader', ['user', 'teacher']],
+      ['dirteacher', ['user', 'teacher']],
+      ['dirboth', ['user', 'student']],
+      ['dircourse', ['user', 'student']],
+      ['dirprogram', ['user', 'student']],
+    ]) {
+      users[username] = await new models.User({
+        email: `${username}@tlca.test`,
+        emailConfirmed: new Date(),
+        provider: 'local',
+        roles,
+        username,
+      }).save()
+    }
+
+    const competency = await new models.Competency({
+      code: 'DIR-C1',
+      name: 'Directory competency',
+    }).save()
+    const course = await new models.Course({
+      code: 'DIR-COURSE',
+      competencies: [{ category: 'basic', competency: competency._id }],
+      coordinator: users.dircoordinator._id,
+      description: 'Course for the directory tests',
+      name: 'Directory course',
+      published: new Date(),
+      staff: [
+        { role: 'grader', user: users.dirgrader._id },
+        { role: 'observer', user: users.dirobserver._id },
+      ],
+    }).save()
+    const program = await new models.Program({
+      code: 'DIR-PROGRAM',
+      coordinator: users.dircoordinator._id,
+      courses: [{ course: course._id }],
+      description: 'Program for the directory tests',
+      name: 'Directory program',
+    }).save()
+
+    await models.Registration.insertMany([
+      { course: course._id, date: new Date(), user: users.dirboth._id },
+      { course: course._id, date: new Date(), user: users.dircourse._id },
+      { date: new Date(), program: program._id, user: users.dirboth._id },
+      { date: new Date(), program: program._id, user: users.dirprogram._id },
+    ])
+  })
+
+  after(async () => {
+    await testServer.stop()
+  })
+
+  it('should intersect the course and program filters', async () => {
+    const result = await searchUsers('dircoordinator', {
+      courseCode: 'DIR-COURSE',
+      programCode: 'DIR-PROGRAM',
+    })
+
+    expect(result.errors).to.be.undefined
+    expect(result.data.searchUsers.users.map((u) => u.username)).to.deep.equal([
+      'dirboth',
+    ])
+  })
+
+  it('should let the staff permitted to view the registrations filter by course', async () => {
+    const result = await searchUsers('dirobserver', {
+      courseCode: 'DIR-COURSE',
+    })
+
+    expect(result.errors).to.be.undefined
+    expect(result.data.searchUsers.total).to.equal(2)
+  })
+
+  it('should refuse to filter by course to the other teachers', async () => {
+    for (const username of ['dirgrader', 'dirteacher']) {
+      const result = await searchUsers(username, { courseCode: 'DIR-COURSE' })
+
+      expect(result.errors[0].message).to.equal('COURSE_NOT_FOUND')
+    }
+  })
+
+  it('should refuse to filter by program to other teachers than its coordinator', async () => {
+    const result = await searchUsers('dirobserver', {
+      programCode: 'DIR-PROGRAM',
+    })
+
+    expect(result.errors[0].message).to.equal('PROGRAM_NOT_FOUND')
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it } from 'mocha'
+import chai from 'chai'
+import mongoose from 'mongoose'
+
+import { getEditions } from '../lib/editions.js'
+
+const expect = chai.expect
+
+describe('Test course editions', () => {
+  const teacher = new mongoose.Types.ObjectId()
+  const other = new mongoose.Types.ObjectId()
+
+  // Create a course of the lineage, cloned from another one, if any.
+  const createCourse = (code, clonedFrom, fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    clonedFrom: clonedFrom?._id,
+    code,
+    coordinator: teacher,
+    created: new Date(2022, 0, code.length),
+    published: new Date(),
+    visibility: 'public',
+    ...fields,
+  })
+
+  const root = createCourse('A')
+  const current = createCourse('AB', root)
+  const courses = [
+    root,
+    current,
+    createCourse('ABC', current, { archived: new Date() }),
+    createCourse('ABCD', root, { coordinator: other, visibility: 'private' }),
+    createCourse('ABCDE', root, { coordinator: other, published: undefined }),
+  ]
+
+  // Model with the courses of the lineage.
+  const models = {
+    Course: {
+      find: async (filter) =>
+        courses.filter(
+          (c) =>
+            !filter._id.$nin.includes(c._id.toString()) &&
+            filter.clonedFrom.$in.some((id) => id.equals(c.clonedFrom))
+        ),
+      findOne: async (filter) => courses.find((c) => c._id.equals(filter._id)),
+    },
+  }
+
+  it('should only retrieve the visible editions for other users', async () => {
+    const editions = await getEditions(models, current, {
+      id: new mongoose.Types.ObjectId().toString(),
+    })
+
+    expect(editions.map((c) => c.code)).to.deep.equal(['A'])
+  })
+
+  it('should retrieve the editions of which the user is a staff member', async () => {
+    const editions = await getEditions(models, current, {
+      id: teacher.toString(),
+    })
+
+    expect(editions.map((c) => c.code)).to.deep.equal(['A', 'ABC'])
+  })
+})
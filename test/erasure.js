@@ -0,0 +1,78 @@
+import { ApolloServer } from 'apollo-server'
+import chai from 'chai'
+import dotenv from 'dotenv'
+import { after, before, describe, it } from 'mocha'
+
+import { models, schema } from '../data/schema.js'
+import { connectDB } from '../lib/mongoose.js'
+
+const expect = chai.expect
+
+dotenv.config({ path: `.env.${process.env.NODE_ENV}` })
+
+describe('Test user data erasure', () => {
+  let testServer
+  let admin
+  let account
+
+  const DELETE_USER_ACCOUNT =
+    'mutation DeleteUserAccount($username: ID!) { deleteUserAccount(username: $username) }'
+  const USERS = 'query Users { users { displayName email username } }'
+
+  // Execute an operation as the administrator.
+  const execute = async function (query, variables) {
+    return await testServer.executeOperation(
+      { query, variables },
+      { user: { id: admin._id.toString(), roles: [...admin.roles] } }
+    )
+  }
+
+  before(async () => {
+    await connectDB(process.env.MONGODB_URI)
+
+    testServer = new ApolloServer({
+      schema,
+      context: ({ user }) => ({ env: process.env, models, user }),
+    })
+
+    admin = await new models.User({
+      email: 'erasure-admin@tlca.test',
+      emailConfirmed: new Date(),
+      provider: 'local',
+      roles: ['user', 'admin'],
+      username: 'erasureadmin',
+    }).save()
+    account = await new models.User({
+      email: 'erasure@tlca.test',
+      emailConfirmed: new Date(),
+      firstName: 'Jane',
+      lastName: 'Doe',
+      provider: 'local',
+      roles: ['user', 'student'],
+      username: 'erasure',
+    }).save()
+  })
+
+  after(async () => {
+    await testServer.stop()
+  })
+
+  it('should still resolve an erased user, without any email address', async () => {
+    const deleted = await execute(DELETE_USER_ACCOUNT, {
+      username: account.username,
+    })
+    expect(deleted.errors).to.be.undefined
+    expect(deleted.data.deleteUserAccount).to.be.true
+
+    const result = await execute(USERS)
+
+    expect(result.errors).to.be.undefined
+    expect(
+      result.data.users.find((u) => u.username === `deleted-${account._id}`)
+    ).to.deep.equal({
+      displayName: `deleted-${account._id}`,
+      email: null,
+      username: `deleted-${account._id}`,
+    })
+  })
+})
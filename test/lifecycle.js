@@ -0,0 +1,124 @@
+import { describe, it } from 'mocha'
+import chai from 'chai'
+
+import {
+  applyTransition,
+  getCourseStatus,
+  isRunning,
+} from '../lib/lifecycle.js'
+
+const expect = chai.expect
+
+describe('Test course lifecycle', () => {
+  const user = { id: 'u1' }
+
+  // Models whose registrations and evaluations exist as configured.
+  const getModels = ({ evaluations = false, registrations = false } = {}) => ({
+    Evaluation: { exists: async () => evaluations },
+    Registration: { exists: async () => registrations },
+  })
+
+  it('should retrieve the status of a course from its dates', () => {
+    const date = new Date()
+
+    expect(getCourseStatus({})).to.equal('unpublished')
+    expect(getCourseStatus({ published: date })).to.equal('published')
+    expect(getCourseStatus({ published: date, started: date })).to.equal(
+      'running'
+    )
+    expect(
+      getCourseStatus({ closed: date, published: date, started: date })
+    ).to.equal('closed')
+    expect(getCourseStatus({ archived: date, published: date })).to.equal(
+      'archived'
+    )
+  })
+
+  it('should only consider started and not closed courses as running', () => {
+    const date = new Date()
+
+    expect(isRunning({ published: date })).to.be.false
+    expect(isRunning({ published: date, started: date })).to.be.true
+    expect(isRunning({ closed: date, published: date, started: date })).to.be
+      .false
+  })
+
+  it('should consider courses predating the lifecycle as running from their scheduled start', () => {
+    const date = new Date()
+    const past = new Date(Date.now() - 86400000)
+    const future = new Date(Date.now() + 86400000)
+
+    expect(isRunning({ published: date, schedule: { start: past } })).to.be.true
+    expect(isRunning({ published: date, schedule: { start: future } })).to.be
+      .false
+    expect(isRunning({ schedule: { start: past } })).to.be.false
+    expect(
+      isRunning({
+        published: date,
+        schedule: { start: past },
+        transitions: [{ date, from: 'running', to: 'published' }],
+      })
+    ).to.be.false
+    expect(
+      isRunning({ closed: date, published: date, schedule: { start: past } })
+    ).to.be.false
+    expect(
+      isRunning({ archived: date, published: date, schedule: { start: past } })
+    ).to.be.false
+  })
+
+  it('should stamp the new status and record the transition', async () => {
+    const course = { published: new Date() }
+
+    expect(await applyTransition(getModels(), course, user, 'start')).to.be.null
+    expect(getCourseStatus(course)).to.equal('running')
+    expect(course.started).to.be.a('date')
+    expect(course.transitions).to.have.lengthOf(1)
+    expect(course.transitions[0]).to.include({
+      from: 'published',
+      to: 'running',
+      user: 'u1',
+    })
+  })
+
+  it('should clear the dates of the later statuses when going back', async () => {
+    const date = new Date()
+    const course = { closed: date, published: date, started: date }
+
+    expect(await applyTransition(getModels(), course, user, 'reopen')).to.be
+      .null
+    expect(getCourseStatus(course)).to.equal('running')
+    expect(course.closed).to.be.undefined
+    expect(course.started).to.equal(date)
+  })
+
+  it('should refuse transitions from another status', async () => {
+    const course = { published: new Date() }
+
+    expect(await applyTransition(getModels(), course, user, 'close')).to.equal(
+      'INVALID_TRANSITION'
+    )
+    expect(course.transitions).to.be.undefined
+  })
+
+  it('should refuse transitions whose guard fails', async () => {
+    const date = new Date()
+
+    expect(
+      await applyTransition(
+        getModels({ registrations: true }),
+        { published: date },
+        user,
+        'unpublish'
+      )
+    ).to.equal('EXISTING_REGISTRATIONS')
+    expect(
+      await applyTransition(
+        getModels({ evaluations: true }),
+        { published: date, started: date },
+        user,
+        'stop'
+      )
+    ).to.equal('EXISTING_EVALUATIONS')
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it } from 'mocha'
+import chai from 'chai'
+
+import { notify } from '../lib/notifications.js'
+
+const expect = chai.expect
+
+describe('Test notifications', () => {
+  it('should escape the message of a notification sent by email', async () => {
+    const created = []
+    const sent = []
+    const models = {
+      Notification: { create: async (n) => created.push(n) },
+      User: {
+        findOne: () => ({ lean: async () => ({ email: 'jane@tlca.test' }) }),
+      },
+    }
+    const smtpTransport = { sendMail: async (mail) => sent.push(mail) }
+
+    const message = 'New announcement “<img src=x onerror=alert(1)>”.'
+    await notify(
+      models,
+      smtpTransport,
+      { category: 'announcement', message, user: 'u1' },
+      '<div>Content</div>'
+    )
+
+    expect(created[0].message).to.equal(message)
+    expect(sent).to.have.lengthOf(1)
+    expect(sent[0].html).to.not.include('<img')
+    expect(sent[0].html).to.include(
+      '<p>New announcement “&lt;img src=x onerror=alert(1)&gt;”.</p>'
+    )
+    expect(sent[0].html).to.include('<div>Content</div>')
+  })
+})
@@ -0,0 +1,285 @@
+import { ApolloServer } from 'apollo-server'
+import chai from 'chai'
+import crypto from 'crypto'
+import dotenv from 'dotenv'
+import http from 'http'
+import jwt from 'jsonwebtoken'
+import { after, before, describe, it } from 'mocha'
+
+import { models, schema } from '../data/schema.js'
+import { connectDB } from '../lib/mongoose.js'
+import { getOpenIDProfile } from '../lib/openid.js'
+import { generateSecret } from '../lib/totp.js'
+
+const expect = chai.expect
+
+dotenv.config({ path: `.env.${process.env.NODE_ENV}` })
+
+const CLIENT_ID = 'tlca'
+const REDIRECT_URI = 'https://tlca.test/signin/callback'
+
+// Mock identity provider, issuing an ID token with the claims
+// associated to an authorization code by the tests.
+function createIdentityProvider() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  })
+  const claims = {}
+
+  const server = http.createServer((req, res) => {
+    const issuer = `http://localhost:${server.address().port}`
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    }
+
+    switch (req.url) {
+      case '/.well-known/openid-configuration':
+        return send(200, {
+          authorization_endpoint: `${issuer}/authorize`,
+          id_token_signing_alg_values_supported: ['RS256'],
+          issuer,
+          jwks_uri: `${issuer}/jwks`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          token_endpoint: `${issuer}/token`,
+        })
+
+      case '/jwks':
+        return send(200, {
+          keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test' }],
+        })
+
+      case '/token': {
+        let body = ''
+        req.on('data', (chunk) => (body += chunk))
+        req.on('end', () => {
+          const code = new URLSearchParams(body).get('code')
+          if (!claims[code]) {
+            return send(400, { error: 'invalid_grant' })
+          }
+
+          send(200, {
+            access_token: crypto.randomBytes(16).toString('hex'),
+            expires_in: 300,
+            id_token: jwt.sign(claims[code], privateKey, {
+              algorithm: 'RS256',
+              audience: CLIENT_ID,
+              expiresIn: '5m',
+              issuer,
+              keyid: 'test',
+            }),
+            token_type: 'Bearer',
+          })
+        })
+        return
+      }
+    }
+
+    send(404, {})
+  })
+
+  return {
+    // Associate claims to a new authorization code.
+    authorize(identity) {
+      const code = crypto.randomBytes(8).toString('hex')
+      claims[code] = identity
+      return code
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+    listen: () =>
+      new Promise((resolve) =>
+        server.listen(0, () =>
+          resolve(`http://localhost:${server.address().port}`)
+        )
+      ),
+  }
+}
+
+const idp = createIdentityProvider()
+const env = {
+  ...process.env,
+  OIDC_CLIENT_ID: CLIENT_ID,
+  OIDC_CLIENT_SECRET: 'secret',
+  OIDC_ISSUER: await idp.listen(),
+  OIDC_REDIRECT_URI: REDIRECT_URI,
+}
+
+after(async () => {
+  await idp.close()
+})
+
+describe('Test OpenID Connect profiles', () => {
+  it('should retrieve the identity of the user from the ID token', async () => {
+    const code = idp.authorize({
+      email: 'jane@idp.test',
+      email_verified: true,
+      sub: 'jane',
+    })
+    const profile = await getOpenIDProfile(env, { code })
+
+    expect(profile.sub).to.equal('jane')
+    expect(profile.email).to.equal('jane@idp.test')
+    expect(profile.issuer).to.equal(env.OIDC_ISSUER)
+  })
+
+  it('should reject an authorization code unknown to the identity provider', async () => {
+    let error = null
+    try {
+      await getOpenIDProfile(env, { code: 'unknown' })
+    } catch (err) {
+      error = err
+    }
+
+    expect(error).to.not.be.null
+  })
+
+  it('should not retrieve any identity without a configured identity provider', async () => {
+    expect(await getOpenIDProfile({}, { code: 'unknown' })).to.be.null
+  })
+})
+
+describe('Test OpenID Connect sign in', () => {
+  let testServer
+
+  const users = {
+    plain: {
+      email: 'plain@idp.test',
+      roles: ['user'],
+      username: 'oidcplain',
+    },
+    required: {
+      email: 'required@idp.test',
+      roles: ['user', 'manager'],
+      username: 'oidcrequired',
+    },
+    twoFactor: {
+      email: 'twofactor@idp.test',
+      roles: ['user'],
+      twoFactorEnabled: new Date(),
+      twoFactorSecret: generateSecret(),
+      username: 'oidctwofactor',
+    },
+  }
+
+  const SIGN_IN_WITH_OPENID =
+    'mutation SignIn($code: String!) { signInWithOpenID(code: $code) { challenge token twoFactor } }'
+
+  // Sign in with the identity whose subject is the given email address.
+  const signInWithOpenID = async function (email) {
+    const code = idp.authorize({ email, email_verified: true, sub: email })
+    const result = await testServer.executeOperation({
+      query: SIGN_IN_WITH_OPENID,
+      variables: { code },
+    })
+
+    expect(result.errors).to.be.undefined
+    return result.data.signInWithOpenID
+  }
+
+  before(async () => {
+    await connectDB(process.env.MONGODB_URI)
+
+    testServer = new ApolloServer({
+      schema,
+      context: () => ({ env, models, user: null }),
+    })
+
+    await models.Settings.deleteMany()
+    await new models.Settings({ twoFactorRoles: ['manager'] }).save()
+    for (const user of Object.values(users)) {
+      await new models.User({
+        ...user,
+        additionalProvidersData: {
+          openid: { issuer: env.OIDC_ISSUER, sub: user.email },
+        },
+        emailConfirmed: new Date(),
+        provider: 'local',
+      }).save()
+    }
+  })
+
+  after(async () => {
+    await models.Settings.deleteMany()
+    await testServer.stop()
+  })
+
+  it('should open a session for a user without two-factor authentication', async () => {
+    const result = await signInWithOpenID(users.plain.email)
+
+    expect(result.token).to.be.a('string')
+    expect(result.challenge).to.be.null
+  })
+
+  it('should challenge a user who enabled two-factor authentication', async () => {
+    const result = await signInWithOpenID(users.twoFactor.email)
+
+    expect(result.token).to.be.null
+    expect(result.challenge).to.be.a('string')
+    expect(result.twoFactor).to.equal('VERIFY')
+  })
+
+  it('should ask a user for whom two-factor authentication is mandatory to enroll', async () => {
+    const result = await signInWithOpenID(users.required.email)
+
+    expect(result.token).to.be.null
+    expect(result.challenge).to.be.a('string')
+    expect(result.twoFactor).to.equal('ENROLL')
+  })
+
+  it('should refuse an identity whose email address is not verified', async () => {
+    for (const claims of [
+      { email: 'unverified@idp.test', sub: 'unverified' },
+      {
+        email: 'unverified@idp.test',
+        email_verified: false,
+        sub: 'unverified',
+      },
+    ]) {
+      const result = await testServer.executeOperation({
+        query: SIGN_IN_WITH_OPENID,
+        variables: { code: idp.authorize(claims) },
+      })
+
+      expect(result.errors[0].message).to.equal('UNVERIFIED_EMAIL_ADDRESS')
+    }
+  })
+
+  it('should not link an identity to an existing account with the same email address', async () => {
+    await new models.User({
+      email: 'existing@idp.test',
+      emailConfirmed: new Date(),
+      provider: 'local',
+      roles: ['user', 'admin'],
+      username: 'oidcexisting',
+    }).save()
+
+    const result = await testServer.executeOperation({
+      query: SIGN_IN_WITH_OPENID,
+      variables: {
+        code: idp.authorize({
+          email: 'existing@idp.test',
+          email_verified: true,
+          sub: 'attacker',
+        }),
+      },
+    })
+
+    expect(result.errors[0].message).to.equal('OPENID_ACCOUNT_EXISTS')
+    const user = await models.User.findOne({ username: 'oidcexisting' })
+    expect(user.additionalProvidersData?.openid).to.be.undefined
+  })
+
+  it('should create a new user for an unknown identity', async () => {
+    const result = await signInWithOpenID('newcomer@idp.test')
+
+    expect(result.token).to.be.a('string')
+    expect(
+      await models.User.exists({
+        provider: 'openid',
+        'providerData.issuer': env.OIDC_ISSUER,
+        'providerData.sub': 'newcomer@idp.test',
+      })
+    ).to.not.be.null
+  })
+})
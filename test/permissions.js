@@ -0,0 +1,74 @@
+import { describe, it } from 'mocha'
+import chai from 'chai'
+
+import {
+  ACTIONS,
+  getPermissions,
+  getStaffRole,
+  hasPermission,
+  isStaffMember,
+} from '../lib/permissions.js'
+
+const expect = chai.expect
+
+describe('Test course permissions', () => {
+  const users = {
+    assistant: { id: 'u3' },
+    coordinator: { id: 'u1' },
+    grader: { id: 'u4' },
+    learner: { id: 'u5' },
+    teacher: { id: 'u2' },
+  }
+  const course = {
+    coordinator: 'u1',
+    staff: [
+      { role: 'assistant', user: 'u3' },
+      { role: 'grader', user: { _id: 'u4' } },
+    ],
+    teachers: ['u2'],
+  }
+
+  it('should retrieve the role of the staff members of a course', () => {
+    for (const role of ['assistant', 'coordinator', 'grader', 'teacher']) {
+      expect(getStaffRole(course, users[role])).to.equal(role)
+      expect(isStaffMember(course, users[role])).to.be.true
+    }
+  })
+
+  it('should not retrieve any role for other or anonymous users', () => {
+    for (const user of [users.learner, null, undefined]) {
+      expect(getStaffRole(course, user)).to.be.null
+      expect(isStaffMember(course, user)).to.be.false
+      expect(getPermissions(course, user)).to.be.empty
+    }
+    expect(getStaffRole(null, users.coordinator)).to.be.null
+  })
+
+  it('should permit all the actions to the coordinator', () => {
+    expect(getPermissions(course, users.coordinator)).to.deep.equal(ACTIONS)
+  })
+
+  it('should permit the default actions of the staff roles', () => {
+    expect(hasPermission(course, users.assistant, 'evaluate')).to.be.true
+    expect(hasPermission(course, users.assistant, 'view-registrations')).to.be
+      .true
+    expect(hasPermission(course, users.grader, 'view-registrations')).to.be
+      .false
+    expect(hasPermission(course, users.teacher, 'manage-assessments')).to.be
+      .false
+    expect(hasPermission(course, users.learner, 'view-assessments')).to.be.false
+  })
+
+  it('should permit the actions configured for a course', () => {
+    const configured = {
+      ...course,
+      permissions: { grader: ['view-registrations'], teacher: [] },
+    }
+
+    expect(hasPermission(configured, users.grader, 'view-registrations')).to.be
+      .true
+    expect(hasPermission(configured, users.grader, 'evaluate')).to.be.false
+    expect(getPermissions(configured, users.teacher)).to.be.empty
+    expect(getPermissions(configured, users.coordinator)).to.deep.equal(ACTIONS)
+  })
+})
@@ -0,0 +1,150 @@
+import { describe, it } from 'mocha'
+import chai from 'chai'
+
+import { getUnmetPrerequisites, hasWaiver } from '../lib/prerequisites.js'
+
+const expect = chai.expect
+
+describe('Test course prerequisites', () => {
+  // Models with the given courses, competencies, progress histories
+  // and confirmed registrations, all identified by plain strings.
+  const getModels = ({
+    competencies = [],
+    courses = [],
+    histories = [],
+    registrations = [],
+  }) => ({
+    Competency: {
+      find: (filter) => ({
+        lean: async () =>
+          competencies.filter((c) => filter._id.$in.includes(c._id)),
+      }),
+      findOne: (filter) => ({
+        lean: async () => competencies.find((c) => c._id === filter._id),
+      }),
+    },
+    Course: {
+      findOne: (filter) => ({
+        lean: async () => courses.find((c) => c._id === filter._id),
+      }),
+    },
+    ProgressHistory: {
+      find: (filter) => ({
+        lean: async () =>
+          histories.filter(
+            (h) =>
+              h.user === filter.user &&
+              (filter.competency.$in ?? [filter.competency]).includes(
+                h.competency
+              )
+          ),
+      }),
+    },
+    Registration: {
+      exists: async (filter) =>
+        registrations.some(
+          (r) => r.course === filter.course && r.user === filter.user
+        ),
+    },
+  })
+
+  const competencies = [
+    { _id: 'k1' },
+    { _id: 'k2', learningOutcomes: [{}, { takes: 2 }] },
+  ]
+
+  it('should check whether a learner has been granted a waiver', () => {
+    const course = { waivers: [{ user: 'u1' }] }
+
+    expect(hasWaiver(course, 'u1')).to.be.true
+    expect(hasWaiver(course, 'u2')).to.be.false
+    expect(hasWaiver({}, 'u1')).to.be.false
+  })
+
+  it('should not report any prerequisite for a waived learner', async () => {
+    const course = {
+      prerequisites: [{ competency: 'k1' }],
+      waivers: [{ user: 'u1' }],
+    }
+
+    expect(await getUnmetPrerequisites(getModels({}), course, 'u1')).to.be.empty
+  })
+
+  it('should check whether the prerequisite competencies are acquired', async () => {
+    const models = getModels({
+      competencies,
+      histories: [
+        { competency: 'k1', stars: 3, user: 'u1' },
+        { competency: 'k1', stars: 2, user: 'u1' },
+        { competency: 'k2', learningOutcomes: [0, 1], user: 'u1' },
+        { competency: 'k2', learningOutcomes: [1], user: 'u2' },
+      ],
+    })
+    const course = {
+      prerequisites: [{ competency: 'k1' }, { competency: 'k2' }],
+    }
+
+    expect(await getUnmetPrerequisites(models, course, 'u1')).to.deep.equal([
+      { competency: 'k2' },
+    ])
+    expect(await getUnmetPrerequisites(models, course, 'u2')).to.deep.equal([
+      { competency: 'k1' },
+      { competency: 'k2' },
+    ])
+  })
+
+  it('should check the basic progress in the prerequisite courses', async () => {
+    const models = getModels({
+      competencies,
+      courses: [
+        { _id: 'c1', competencies: [{ category: 'basic', competency: 'k1' }] },
+      ],
+      histories: [{ competency: 'k1', stars: 3, user: 'u1' }],
+      registrations: [{ course: 'c1', user: 'u1' }],
+    })
+
+    expect(
+      await getUnmetPrerequisites(
+        models,
+        { prerequisites: [{ course: 'c1', progress: 50 }] },
+        'u1'
+      )
+    ).to.be.empty
+    expect(
+      await getUnmetPrerequisites(
+        models,
+        { prerequisites: [{ course: 'c1', progress: 80 }] },
+        'u1'
+      )
+    ).to.deep.equal([{ course: 'c1', current: 60, progress: 80 }])
+    expect(
+      await getUnmetPrerequisites(
+        models,
+        { prerequisites: [{ course: 'c1', progress: 50 }] },
+        'u2'
+      )
+    ).to.deep.equal([{ course: 'c1', current: 0, progress: 50 }])
+  })
+
+  it('should not consider a course without basic competencies as progressed', async () => {
+    const models = getModels({
+      competencies,
+      courses: [
+        {
+          _id: 'c1',
+          competencies: [{ category: 'advanced', competency: 'k1' }],
+        },
+      ],
+      histories: [{ competency: 'k1', stars: 5, user: 'u1' }],
+      registrations: [{ course: 'c1', user: 'u1' }],
+    })
+
+    expect(
+      await getUnmetPrerequisites(
+        models,
+        { prerequisites: [{ course: 'c1', progress: 50 }] },
+        'u1'
+      )
+    ).to.deep.equal([{ course: 'c1', current: 0, progress: 50 }])
+  })
+})
@@ -0,0 +1,127 @@
+import { describe, it } from 'mocha'
+import chai from 'chai'
+
+import {
+  computeCourseProgress,
+  getExpectedProgress,
+  getProgressGap,
+  isBehind,
+} from '../lib/progress.js'
+
+const expect = chai.expect
+
+describe('Test progress guides', () => {
+  const course = {
+    progressGuide: [
+      {
+        date: new Date('2022-03-01'),
+        progress: { advanced: 20, basic: 80 },
+      },
+      {
+        date: new Date('2022-02-01'),
+        progress: { advanced: 0, basic: 40 },
+      },
+    ],
+    schedule: { start: new Date('2022-01-01') },
+  }
+
+  it('should not expect any progress without a guide', () => {
+    expect(getExpectedProgress({}, new Date())).to.be.null
+    expect(getProgressGap({ advanced: 10, basic: 10 }, null)).to.be.null
+  })
+
+  it('should expect no progress before the start of the course', () => {
+    const date = new Date('2021-12-01')
+
+    expect(getExpectedProgress(course, date)).to.deep.equal({
+      advanced: 0,
+      basic: 0,
+      date,
+    })
+  })
+
+  it('should interpolate the expected progress between the steps', () => {
+    const date = new Date('2022-02-15')
+    const ratio = 14 / 28
+
+    expect(getExpectedProgress(course, date)).to.deep.equal({
+      advanced: Math.round(20 * ratio),
+      basic: Math.round(40 + 40 * ratio),
+      date,
+    })
+    expect(getExpectedProgress(course, new Date('2022-01-16')).basic).to.equal(
+      Math.round((40 * 15) / 31)
+    )
+  })
+
+  it('should expect the progress of the last step after it', () => {
+    const date = new Date('2022-06-01')
+
+    expect(getExpectedProgress(course, date)).to.deep.equal({
+      advanced: 20,
+      basic: 80,
+      date,
+    })
+  })
+
+  it('should compute the gap with the expected progress', () => {
+    const expected = { advanced: 20, basic: 80 }
+
+    expect(getProgressGap({ advanced: 30, basic: 50 }, expected)).to.deep.equal(
+      { advanced: 10, basic: -30 }
+    )
+    expect(
+      getProgressGap({ advanced: null, basic: 90 }, expected)
+    ).to.deep.equal({ advanced: null, basic: 10 })
+  })
+
+  it('should consider learners behind by more than the margin as late', () => {
+    expect(isBehind({ advanced: 0, basic: -11 }, 10)).to.be.true
+    expect(isBehind({ advanced: -11, basic: 0 }, 10)).to.be.true
+    expect(isBehind({ advanced: null, basic: -10 }, 10)).to.be.false
+    expect(isBehind(null, 10)).to.be.false
+  })
+
+  it('should compute the progress of a learner from their histories', async () => {
+    const histories = [
+      { competency: 'c1', stars: 3 },
+      { competency: 'c1', stars: 4 },
+      { competency: 'c2', learningOutcomes: [0, 1] },
+      { competency: 'c3', stars: 1 },
+    ]
+    const models = {
+      ProgressHistory: {
+        find: (filter) => ({
+          lean: async () =>
+            histories.filter((h) =>
+              filter.competency.$in.includes(h.competency)
+            ),
+        }),
+      },
+    }
+
+    const progress = await computeCourseProgress(
+      models,
+      {
+        ...course,
+        competencies: [
+          { category: 'basic', competency: { _id: 'c1' } },
+          {
+            category: 'advanced',
+            competency: { _id: 'c2', learningOutcomes: [{}, { takes: 2 }] },
+            useLearningOutcomes: true,
+          },
+        ],
+      },
+      'u1',
+      new Date('2022-06-01')
+    )
+
+    expect(progress.basic).to.equal(100)
+    expect(progress.advanced).to.equal(Math.trunc(((5 * 2) / 3 / 5) * 100))
+    expect(progress.gap).to.deep.equal({
+      advanced: progress.advanced - 20,
+      basic: 20,
+    })
+  })
+})
@@ -0,0 +1,62 @@
+import { describe, it } from 'mocha'
+import chai from 'chai'
+
+import { getFilter, getHighlights, getTerms } from '../lib/search.js'
+
+const expect = chai.expect
+
+describe('Test catalog search', () => {
+  // Models only knowing the partner 'UCL', referenced by the course 'c1'.
+  const models = {
+    Course: {
+      find: (filter) => ({
+        lean: async () => (filter.partners === 'p1' ? [{ _id: 'c1' }] : []),
+      }),
+    },
+    Partner: {
+      exists: async ({ code }) => (code === 'UCL' ? { _id: 'p1' } : null),
+    },
+  }
+
+  it('should extract the words and phrases of a query, ignoring the negated ones', () => {
+    expect(getTerms('web "data science" -java')).to.deep.equal([
+      'web',
+      'data science',
+    ])
+  })
+
+  it('should highlight the whole words matching the terms', () => {
+    const highlights = getHighlights(
+      { description: 'Learn <b>Python</b>, not pythons.', tags: ['python'] },
+      ['description', 'name', 'tags'],
+      ['python']
+    )
+
+    expect(highlights).to.deep.equal([
+      {
+        field: 'description',
+        snippet: 'Learn &lt;b&gt;<mark>Python</mark>&lt;/b&gt;, not pythons.',
+      },
+      { field: 'tags', snippet: '<mark>python</mark>' },
+    ])
+  })
+
+  it('should filter the documents on the partner of the search', async () => {
+    const args = { partner: 'UCL', tags: ['web'] }
+
+    expect(await getFilter(models, 'course', args)).to.deep.equal({
+      partners: 'p1',
+      tags: { $all: ['web'] },
+    })
+    expect(await getFilter(models, 'partner', args)).to.include({ _id: 'p1' })
+    expect(await getFilter(models, 'program', args)).to.deep.include({
+      'courses.course': { $in: ['c1'] },
+    })
+  })
+
+  it('should not match any document for an unknown partner', async () => {
+    for (const kind of ['competency', 'course', 'partner', 'program']) {
+      expect(await getFilter(models, kind, { partner: 'XYZ' })).to.be.null
+    }
+  })
+})
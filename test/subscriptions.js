@@ -0,0 +1,40 @@
+import chai from 'chai'
+import { parse, subscribe } from 'graphql'
+import { describe, it } from 'mocha'
+
+import { models, schema } from '../data/schema.js'
+
+const expect = chai.expect
+
+describe('Test subscriptions access', () => {
+  const subscribeAs = async function (user, query) {
+    return await subscribe({
+      contextValue: { models, user },
+      document: parse(query),
+      schema,
+    })
+  }
+
+  for (const query of [
+    'subscription { evaluationPublished { id } }',
+    'subscription { evaluationRequested(courseCode: "C1") { id } }',
+    'subscription { registrationChanged(courseCode: "C1") { id } }',
+  ]) {
+    it(`should refuse anonymous users to subscribe to '${query}'`, async () => {
+      const result = await subscribeAs(null, query)
+
+      expect(result.errors).to.be.an('array')
+      expect(result.errors[0]?.extensions?.code).to.equal('UNAUTHENTICATED')
+    })
+  }
+
+  it('should refuse users without the required role to subscribe', async () => {
+    const result = await subscribeAs(
+      { id: '62f3c8a1b5d6e7f8a9b0c1d2', roles: ['user', 'student'] },
+      'subscription { registrationChanged(courseCode: "C1") { id } }'
+    )
+
+    expect(result.errors).to.be.an('array')
+    expect(result.errors[0]?.extensions?.code).to.equal('UNAUTHENTICATED')
+  })
+})
@@ -0,0 +1,37 @@
+import { describe, it } from 'mocha'
+import chai from 'chai'
+
+import { generateCode, verifyCode } from '../lib/totp.js'
+
+const expect = chai.expect
+
+describe('Test TOTP codes', () => {
+  // Secret '12345678901234567890' from the RFC 6238 test vectors.
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+  it('should generate the codes from the RFC 6238 test vectors', () => {
+    expect(generateCode(secret, Math.floor(59 / 30))).to.equal('287082')
+    expect(generateCode(secret, Math.floor(1111111109 / 30))).to.equal('081804')
+    expect(generateCode(secret, Math.floor(20000000000 / 30))).to.equal(
+      '353130'
+    )
+  })
+
+  it('should accept a code from the previous, current or next time step', () => {
+    const time = 1111111109000
+    const counter = Math.floor(time / 1000 / 30)
+
+    for (const c of [counter - 1, counter, counter + 1]) {
+      expect(verifyCode(secret, generateCode(secret, c), time)).to.equal(c)
+    }
+  })
+
+  it('should reject a code outside of the tolerated time steps', () => {
+    const time = 1111111109000
+    const counter = Math.floor(time / 1000 / 30)
+
+    expect(verifyCode(secret, generateCode(secret, counter + 2), time)).to.be
+      .null
+    expect(verifyCode(secret, '12345', time)).to.be.null
+  })
+})
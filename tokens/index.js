@@ -0,0 +1,9 @@
+import Token from './token.model.js'
+import typeDef from './typeDef.js'
+import resolvers from './resolvers.js'
+
+export default {
+  Token,
+  typeDef,
+  resolvers,
+}
@@ -0,0 +1,97 @@
+import Bugsnag from '@bugsnag/js'
+import { AuthenticationError, UserInputError } from 'apollo-server'
+import { DateTime } from 'luxon'
+
+import { generateAccessToken } from '../lib/tokens.js'
+
+const resolvers = {
+  Token: {
+    // Retrieve the 'id' of this token from the MongoDB '_id'.
+    id(token, _args, _context, _info) {
+      return token._id.toString()
+    },
+    // Retrieve the roles granted to this token.
+    roles(token, _args, _context, _info) {
+      return token.roles?.map((role) => role.toUpperCase())
+    },
+  },
+  Query: {
+    // Retrieve all the valid personal access tokens of the connected user.
+    async myTokens(_parent, _args, { models, user }, _info) {
+      const { Token } = models
+
+      return await Token.find(
+        { expires: { $gt: new Date() }, user: user.id },
+        '-hash',
+        { sort: { created: -1 } }
+      ).lean()
+    },
+  },
+  Mutation: {
+    // Create a new personal access token for the connected user.
+    async createToken(_parent, args, { models, user }, _info) {
+      const { Token } = models
+
+      // A personal access token cannot be used to create new ones.
+      if (user.token) {
+        throw new AuthenticationError('Not authorized')
+      }
+
+      // Check the expiration date, which cannot exceed one year.
+      const expires = DateTime.fromJSDate(new Date(args.expires))
+      if (
+        !expires.isValid ||
+        expires <= DateTime.now() ||
+        expires > DateTime.now().plus({ years: 1 })
+      ) {
+        throw new UserInputError('INVALID_EXPIRATION_DATE')
+      }
+
+      // Check that the token only gets roles that the user has.
+      const roles = args.roles?.map((role) => role.toLowerCase())
+      if (roles && !roles.every((role) => user.roles.includes(role))) {
+        throw new UserInputError('INVALID_ROLES')
+      }
+
+      // Create the token, only storing its hash.
+      const { hash, value } = generateAccessToken()
+      const token = new Token({
+        expires: expires.toJSDate(),
+        hash,
+        name: args.name,
+        prefix: value.slice(0, 9),
+        roles: roles?.length ? roles : undefined,
+        user: user.id,
+      })
+
+      try {
+        await token.save()
+        return { token, value }
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+    // Revoke one given personal access token of the connected user.
+    async revokeToken(_parent, args, { models, user }, _info) {
+      const { Token } = models
+
+      const token = await Token.findOne({ _id: args.id, user: user.id })
+      if (!token) {
+        throw new UserInputError('TOKEN_NOT_FOUND')
+      }
+
+      try {
+        await token.delete()
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+  },
+}
+
+export default resolvers
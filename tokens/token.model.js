@@ -0,0 +1,48 @@
+import mongoose from 'mongoose'
+
+const { model, Schema } = mongoose
+
+const TokenSchema = new Schema({
+  created: {
+    type: Date,
+    default: Date.now,
+  },
+  expires: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  lastUsed: {
+    type: Date,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  prefix: {
+    type: String,
+    required: true,
+  },
+  roles: {
+    type: [
+      {
+        type: String,
+        enum: ['user', 'student', 'teacher', 'manager', 'admin'],
+      },
+    ],
+    default: undefined,
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+})
+
+export default model('Token', TokenSchema)
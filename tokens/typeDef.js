@@ -0,0 +1,33 @@
+import { gql } from 'apollo-server'
+
+const typeDefs = gql`
+  type Token {
+    created: DateTime!
+    expires: DateTime!
+    id: ID!
+    lastUsed: DateTime
+    name: String!
+    prefix: String!
+    roles: [Role!]
+  }
+
+  type TokenCreation {
+    token: Token!
+    value: String!
+  }
+
+  extend type Query {
+    myTokens: [Token!]! @auth
+  }
+
+  extend type Mutation {
+    createToken(
+      expires: DateTime!
+      name: String!
+      roles: [Role!]
+    ): TokenCreation @auth(impersonable: false)
+    revokeToken(id: ID!): Boolean @auth
+  }
+`
+
+export default typeDefs
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose'
+
+const { model, Schema } = mongoose
+
+const AttemptSchema = new Schema({
+  action: {
+    type: String,
+    enum: ['email', 'signIn', 'twoFactor'],
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  expires: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  last: {
+    type: Date,
+  },
+  locked: {
+    type: Date,
+  },
+  unlockToken: {
+    type: String,
+  },
+})
+
+AttemptSchema.index({ action: 1, key: 1 }, { unique: true })
+
+export default model('Attempt', AttemptSchema)
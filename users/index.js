@@ -1,8 +1,10 @@
+import Attempt from './attempt.model.js'
 import User from './user.model.js'
 import typeDef from './typeDef.js'
 import resolvers from './resolvers.js'
 
 export default {
+  Attempt,
   User,
   typeDef,
   resolvers,
@@ -1,9 +1,112 @@
 import Bugsnag from '@bugsnag/js'
 import { AuthenticationError, UserInputError } from 'apollo-server'
+import crypto from 'crypto'
+import { parse } from 'csv-parse/sync'
 import jwt from 'jsonwebtoken'
 import { DateTime } from 'luxon'
+import validator from 'validator'
+
+import {
+  checkAttempts,
+  clearAttempts,
+  getAttemptKeys,
+  recordAttempt,
+} from '../lib/attempts.js'
+import { authenticate } from '../lib/authentication.js'
+import { getOpenIDProfile } from '../lib/openid.js'
+import { hasPermission, PERMISSION_FIELDS } from '../lib/permissions.js'
+import { getSettings } from '../lib/settings.js'
+import {
+  generateRecoveryCodes,
+  generateSecret,
+  getOtpauthURI,
+  verifyCode,
+} from '../lib/totp.js'
+import {
+  eraseUserData,
+  exportUserData,
+  getProfileImageURLs,
+  hasAnyRoles,
+  hasRole,
+} from '../lib/users.js'
+import { cleanString, escapeRegExp, generateToken } from '../lib/utils.js'
+
+// Attach to a user the invitations that have been sent to his/her email address.
+async function attachInvitations(models, user) {
+  const { Registration } = models
+
+  if (!user.email) {
+    return
+  }
+
+  const registrations = await Registration.find({ email: user.email })
+  await Promise.all(
+    registrations.map(async (registration) => {
+      registration.email = undefined
+      registration.user = user._id
+
+      await registration.save()
+    })
+  )
+}
+
+// Anonymise a user and erase his/her personal data,
+// provided he/she does not coordinate any course.
+async function deleteAccount(models, user) {
+  const { Course } = models
+
+  if (await Course.exists({ coordinator: user._id })) {
+    throw new UserInputError('COURSE_COORDINATOR')
+  }
+
+  try {
+    await eraseUserData(models, user)
+    return true
+  } catch (err) {
+    Bugsnag.notify(err)
+  }
+
+  return false
+}
+
+// Check a user to be provisioned, against the users in the database
+// and those already seen in the same batch, and return the errors.
+async function checkProvisionedUser(models, user, seen) {
+  const { User } = models
+
+  const errors = []
+  try {
+    await user.validate()
+  } catch (err) {
+    const codes = {
+      email: 'INVALID_EMAIL_ADDRESS',
+      roles: 'INVALID_ROLES',
+      username: 'INVALID_USERNAME',
+    }
+    Object.keys(err.errors ?? {}).forEach((field) =>
+      errors.push(codes[field.split('.')[0]] ?? 'VALIDATION_ERROR')
+    )
+  }
+
+  if (
+    user.email &&
+    (seen.emails.has(user.email) || (await User.exists({ email: user.email })))
+  ) {
+    errors.push('EXISTING_EMAIL_ADDRESS')
+  }
+  if (
+    user.username &&
+    (seen.usernames.has(user.username) ||
+      (await User.exists({ username: user.username })))
+  ) {
+    errors.push('EXISTING_USERNAME')
+  }
 
-import { cleanString } from '../lib/utils.js'
+  seen.emails.add(user.email)
+  seen.usernames.add(user.username)
+
+  return [...new Set(errors)]
+}
 
 // Clean up the optional args related to a user.
 function clean(args) {
@@ -34,26 +137,119 @@ function handleError(err) {
   }
 }
 
-// Create the access and the refresh tokens.
-function getTokens(user, env) {
-  const userinfo = { id: user._id, roles: user.roles }
+// Complete the sign in of an authenticated user, issuing a challenge
+// if a second factor is required, either to verify a code or to enroll
+// an authenticator first, or opening a new session otherwise.
+async function completeSignIn(user, context) {
+  const { models } = context
+
+  if (user.twoFactorEnabled || (await isTwoFactorRequired(models, user))) {
+    const challenge = generateToken(5)
+    user.twoFactorChallengeToken = challenge.token
+    user.twoFactorChallengeTokenExpires = challenge.expires
+    await user.save()
+
+    return {
+      challenge: challenge.token,
+      twoFactor: user.twoFactorEnabled ? 'verify' : 'enroll',
+    }
+  }
+
+  return await getTokens(user, context)
+}
+
+// Create the access and the refresh tokens, within a new session
+// or by rotating the refresh token of an existing one, provided
+// it has not been rotated since (returning null otherwise).
+async function getTokens(user, { client, env, models }, session) {
+  const { Session } = models
+
+  const fields = {
+    expires: DateTime.now().plus({ days: 14 }).toJSDate(),
+    ip: client?.ip,
+    lastUsed: new Date(),
+    tokenId: crypto.randomBytes(16).toString('hex'),
+  }
+
+  if (session) {
+    session = await Session.findOneAndUpdate(
+      { _id: session._id, tokenId: session.tokenId },
+      fields,
+      { new: true }
+    )
+    if (!session) {
+      return null
+    }
+  } else {
+    session = new Session({
+      ...fields,
+      device: client?.userAgent,
+      user: user._id,
+    })
+    await session.save()
+  }
+
+  const userinfo = { id: user._id, roles: user.roles, session: session._id }
 
   const token = jwt.sign(userinfo, env.JWT_ACCESS_TOKEN_SECRET, {
     expiresIn: '15m',
   })
   const refreshToken = jwt.sign(userinfo, env.JWT_REFRESH_TOKEN_SECRET, {
     expiresIn: '14d',
+    jwtid: session.tokenId,
   })
 
-  user.refreshToken = refreshToken
-  user.refreshTokenExpires = DateTime.now().plus({ days: 14 }).toJSDate()
-
   return {
     token,
     refreshToken,
   }
 }
 
+// Retrieve the user who is either connected
+// or identified by a pending two-factor challenge.
+async function getTwoFactorUser(models, loggedUser, challenge) {
+  const { User } = models
+
+  if (!challenge && (!loggedUser || loggedUser.impersonator)) {
+    throw new AuthenticationError('Not authorized')
+  }
+
+  const user = await User.findOne(
+    challenge ? { twoFactorChallengeToken: challenge } : { _id: loggedUser.id },
+    '_id email roles twoFactorChallengeToken twoFactorChallengeTokenExpires twoFactorCounter twoFactorEnabled twoFactorRecoveryCodes twoFactorSecret username'
+  )
+  if (
+    !user ||
+    (challenge &&
+      DateTime.now() > DateTime.fromJSDate(user.twoFactorChallengeTokenExpires))
+  ) {
+    throw new UserInputError('INVALID_CHALLENGE')
+  }
+
+  return user
+}
+
+// Check a second factor of a user, that is a one-time code or a recovery
+// code, limiting the attempts for his/her account and from the client.
+async function checkTwoFactor({ client, models }, user, verify) {
+  const keys = getAttemptKeys(client, user._id)
+  await checkAttempts(models, 'twoFactor', keys)
+
+  if (!verify()) {
+    await recordAttempt(models, 'twoFactor', keys)
+    throw new UserInputError('INVALID_CODE')
+  }
+
+  // Reset the failed attempts of the account.
+  await clearAttempts(models, 'twoFactor', keys.slice(0, 1))
+}
+
+// Check whether two-factor authentication is mandatory for a user.
+async function isTwoFactorRequired(models, user) {
+  const { twoFactorRoles } = await getSettings(models)
+  return hasAnyRoles(user, twoFactorRoles)
+}
+
 // Send a confirmation email to a user.
 async function sendConfirmationEmail(env, smtpTransport, user) {
   const confirmationURL = `https://${env.DOMAIN_NAME}/profiles/${user.username}/${user.emailConfirmationToken}`
@@ -70,6 +266,52 @@ async function sendConfirmationEmail(env, smtpTransport, user) {
   })
 }
 
+// Send an email with a one-time activation link to a provisioned user.
+async function sendActivationEmail(env, smtpTransport, user) {
+  const activationURL = `https://${env.DOMAIN_NAME}/profiles/${user.username}/passwordreset/${user.resetPasswordToken}`
+
+  await smtpTransport.sendMail({
+    to: user.email,
+    from: 'sebastien@combefis.be',
+    subject: '[TLCA] Account activation',
+    html:
+      '<p>Hello,</p>' +
+      '<p>An account has been created for you on the TLCA platform.</p>' +
+      `<p>In order to activate it, you need to choose your password. You can do so by visiting the following page:</p><p><a href="${activationURL}">${activationURL}</a></p>` +
+      '<p>The TLCA team</p>',
+  })
+}
+
+// Send an email to the new address of a user to confirm its change.
+async function sendEmailChangeEmail(env, smtpTransport, user) {
+  const confirmationURL = `https://${env.DOMAIN_NAME}/profiles/${user.username}/email/${user.pendingEmailToken}`
+
+  await smtpTransport.sendMail({
+    to: user.pendingEmail,
+    from: 'sebastien@combefis.be',
+    subject: '[TLCA] Email address change',
+    html:
+      '<p>Hello,</p>' +
+      '<p>You asked to change the email address of your account on the TLCA platform.</p>' +
+      `<p>In order to use this new email address, you first need to confirm it. You can do so by visiting the following page:</p><p><a href="${confirmationURL}">${confirmationURL}</a></p>` +
+      '<p>The TLCA team</p>',
+  })
+}
+
+// Send a notice to the former email address of a user after it changed.
+async function sendEmailChangedNotice(smtpTransport, user, email) {
+  await smtpTransport.sendMail({
+    to: email,
+    from: 'sebastien@combefis.be',
+    subject: '[TLCA] Email address changed',
+    html:
+      '<p>Hello,</p>' +
+      `<p>The email address of your account on the TLCA platform has been changed to ${user.email}.</p>` +
+      '<p>If you did not ask for this change, please contact us as soon as possible.</p>' +
+      '<p>The TLCA team</p>',
+  })
+}
+
 // Send a password reset email to a user.
 async function sendPasswordResetEmail(env, smtpTransport, user) {
   const passwordResetURL = `https://${env.DOMAIN_NAME}/profiles/${user.username}/passwordreset/${user.resetPasswordToken}`
@@ -85,7 +327,37 @@ async function sendPasswordResetEmail(env, smtpTransport, user) {
   })
 }
 
+// Send an email with a link to unlock the account of a user.
+async function sendUnlockEmail(env, smtpTransport, user, token) {
+  const unlockURL = `https://${env.DOMAIN_NAME}/profiles/${user.username}/unlock/${token}`
+
+  await smtpTransport.sendMail({
+    to: user.email,
+    from: 'sebastien@combefis.be',
+    subject: '[TLCA] Account locked',
+    html:
+      '<p>Hello,</p>' +
+      '<p>Your account on the TLCA platform has been temporarily locked after too many failed sign in attempts.</p>' +
+      `<p>If you were trying to sign in, you can unlock it by visiting the following page:</p><p><a href="${unlockURL}">${unlockURL}</a></p>` +
+      '<p>The TLCA team</p>',
+  })
+}
+
 const resolvers = {
+  ProvisioningStatus: {
+    CREATED: 'created',
+    INVALID: 'invalid',
+    VALID: 'valid',
+  },
+  TwoFactorStep: {
+    ENROLL: 'enroll',
+    VERIFY: 'verify',
+  },
+  UserSort: {
+    CREATED: 'created',
+    NAME: 'name',
+    USERNAME: 'username',
+  },
   User: {
     displayName(user, _args, _context, _info) {
       if (!user.firstName || !user.lastName) {
@@ -93,15 +365,27 @@ const resolvers = {
       }
       return `${user.firstName} ${user.lastName}`
     },
+    // Retrieve whether this user has enabled two-factor authentication.
+    hasTwoFactor(user, _args, _context, _info) {
+      return !!user.twoFactorEnabled
+    },
     // Retrieve the 'id' of this user.
     id(user, _args, _context, _info) {
       return user._id
     },
+    // Retrieve whether the account of this user is deactivated.
+    isDeactivated(user, _args, _context, _info) {
+      return !!user.deactivated
+    },
     // Retrieve whether this user is confirmed or not
     // (meaning that his/her email address is valid).
     isConfirmed(user, _args, _context, _info) {
       return !user.emailConfirmationToken
     },
+    // Retrieve the URLs of the thumbnails of the profile image of this user.
+    profileImage(user, _args, _context, _info) {
+      return getProfileImageURLs(user)
+    },
   },
   Query: {
     async colleagues(_parent, _args, { models }, _info) {
@@ -109,13 +393,28 @@ const resolvers = {
 
       return await User.find({ roles: 'teacher' })
     },
+    // Export all the personal data of the connected user.
+    async exportMyData(_parent, _args, { models, user }, _info) {
+      return await exportUserData(models, user.id)
+    },
+    // Export all the personal data of a user, as an admin.
+    async exportUserData(_parent, args, { models }, _info) {
+      const { User } = models
+
+      const user = await User.exists({ username: args.username })
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+
+      return await exportUserData(models, user._id)
+    },
     async me(_parent, _args, { models, user }, _info) {
       const { User } = models
 
       // Retrieve the logged in user, if any.
       const loggedUser = await User.findOne(
         { _id: user?.id },
-        'firstName lastName email roles username'
+        'firstName lastName email profileImage roles twoFactorEnabled username'
       ).lean()
       if (!user) {
         throw new AuthenticationError('Not authorized')
@@ -124,6 +423,136 @@ const resolvers = {
       // Return all the selected field except '_id'
       return (({ _id, ...rest }) => rest)(loggedUser)
     },
+    // Search users matching a text and some filters, with the total count
+    // and the number of matching users for each role and confirmation status.
+    async searchUsers(_parent, args, { models, user }, _info) {
+      const { Course, Program, Registration, User } = models
+
+      const filter = {}
+
+      // Only active accounts can be found by non-admin users.
+      const isAdmin = hasRole(user, 'admin')
+      if (!isAdmin) {
+        filter.deactivated = { $exists: false }
+        filter.deleted = { $exists: false }
+        filter.emailConfirmed = { $exists: true }
+      } else if (typeof args.confirmed === 'boolean') {
+        filter.emailConfirmed = { $exists: args.confirmed }
+      }
+
+      // Each word of the text must match the name, username or email.
+      const words = (args.query ?? '').split(/\s+/).filter((w) => w)
+      if (words.length) {
+        filter.$and = words.map((word) => {
+          const regex = new RegExp(escapeRegExp(word), 'i')
+          return {
+            $or: ['email', 'firstName', 'lastName', 'username'].map((f) => ({
+              [f]: regex,
+            })),
+          }
+        })
+      }
+
+      if (args.roles?.length) {
+        filter.roles = { $all: args.roles.map((role) => role.toLowerCase()) }
+      }
+
+      // Only keep the users registered to the course and/or the program,
+      // whose registrations can only be listed by admins and by its staff.
+      for (const [code, model, field, fields, isAllowed] of [
+        [
+          args.courseCode,
+          Course,
+          'course',
+          PERMISSION_FIELDS,
+          (course) => hasPermission(course, user, 'view-registrations'),
+        ],
+        [
+          args.programCode,
+          Program,
+          'program',
+          'coordinator',
+          (program) => program.coordinator.toString() === user.id,
+        ],
+      ]) {
+        if (code) {
+          const document = await model.findOne({ code }, fields).lean()
+          if (!document || !(isAdmin || isAllowed(document))) {
+            throw new UserInputError(`${field.toUpperCase()}_NOT_FOUND`)
+          }
+          const registrations = await Registration.find(
+            { [field]: document._id, invitation: { $exists: false } },
+            'user'
+          ).lean()
+          filter.$and = [
+            ...(filter.$and ?? []),
+            { _id: { $in: registrations.map((r) => r.user).filter((u) => u) } },
+          ]
+        }
+      }
+
+      // Set up sort, offset and limit.
+      const sort = {
+        created: { created: -1 },
+        name: { lastName: 1, firstName: 1, username: 1 },
+        username: { username: 1 },
+      }[args.sort ?? 'name']
+      const skip = Math.max(0, args.offset ?? 0)
+      const page = [{ $sort: sort }, { $skip: skip }]
+      if (args.limit) {
+        page.push({ $limit: args.limit })
+      }
+
+      const [result] = await User.aggregate([
+        { $match: filter },
+        {
+          $facet: {
+            confirmed: [
+              {
+                $group: {
+                  _id: { $gt: ['$emailConfirmed', null] },
+                  count: { $sum: 1 },
+                },
+              },
+            ],
+            roles: [
+              { $unwind: '$roles' },
+              { $group: { _id: '$roles', count: { $sum: 1 } } },
+            ],
+            total: [{ $count: 'count' }],
+            users: [
+              ...page,
+              {
+                $project: {
+                  email: 1,
+                  emailConfirmationToken: 1,
+                  firstName: 1,
+                  lastName: 1,
+                  profileImage: 1,
+                  roles: 1,
+                  username: 1,
+                },
+              },
+            ],
+          },
+        },
+      ])
+
+      return {
+        facets: {
+          confirmed: result.confirmed.map(({ _id, count }) => ({
+            count,
+            value: _id ? 'CONFIRMED' : 'UNCONFIRMED',
+          })),
+          roles: result.roles.map(({ _id, count }) => ({
+            count,
+            value: _id.toUpperCase(),
+          })),
+        },
+        total: result.total[0]?.count ?? 0,
+        users: result.users,
+      }
+    },
     // Retrieve one given user given its 'username'.
     async user(_parent, args, { models, user: loggedUser }, _info) {
       const { User } = models
@@ -182,6 +611,178 @@ const resolvers = {
 
       return false
     },
+    // Confirm the change of the email address of a user.
+    async confirmEmailChange(_parent, args, { models, smtpTransport }, _info) {
+      const { User } = models
+
+      // Retrieve the user whose email address has to be changed.
+      const user = await User.findOne(
+        { username: args.username },
+        'email emailConfirmed pendingEmail pendingEmailToken pendingEmailTokenExpires provider updated username'
+      )
+      if (
+        !user ||
+        !user.pendingEmailToken ||
+        user.pendingEmailToken !== args.token ||
+        DateTime.now() > DateTime.fromISO(user.pendingEmailTokenExpires)
+      ) {
+        throw new UserInputError('INVALID_CONFIRMATION_TOKEN')
+      }
+      if (await User.exists({ email: user.pendingEmail })) {
+        throw new UserInputError('EXISTING_EMAIL_ADDRESS')
+      }
+
+      // Swap the email address of the user.
+      const email = user.email
+      user.email = user.pendingEmail
+      user.emailConfirmed = new Date()
+      user.pendingEmail = undefined
+      user.pendingEmailToken = undefined
+      user.pendingEmailTokenExpires = undefined
+      user.updated = new Date()
+
+      // Save the user into the database.
+      try {
+        await user.save()
+
+        // Attach the invitations sent to the new email address
+        // and notify the former email address of the change.
+        await attachInvitations(models, user)
+        if (email) {
+          await sendEmailChangedNotice(smtpTransport, user, email)
+        }
+
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+    // Confirm the enrollment of the authenticator of this user
+    // and generate his/her recovery codes.
+    async confirmTwoFactor(_parent, args, context, _info) {
+      const { models, user: loggedUser } = context
+
+      const user = await getTwoFactorUser(models, loggedUser, args.challenge)
+      if (user.twoFactorEnabled || !user.twoFactorSecret) {
+        throw new UserInputError('TWO_FACTOR_NOT_ENROLLED')
+      }
+      const counter = verifyCode(user.twoFactorSecret, args.code)
+      await checkTwoFactor(context, user, () => counter !== null)
+
+      // Enable two-factor authentication, recording the time step
+      // of the code so that it cannot be used again to sign in.
+      const { codes, hashes } = generateRecoveryCodes()
+      user.twoFactorCounter = counter
+      user.twoFactorEnabled = new Date()
+      user.twoFactorRecoveryCodes = hashes
+
+      // Save the user into the database.
+      try {
+        await user.save()
+        return codes
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+    // Deactivate the account of a user, as an admin,
+    // preventing him/her from signing in.
+    async deactivateUser(_parent, args, { models, user: loggedUser }, _info) {
+      const { Session, Token, User } = models
+
+      const user = await User.findOne(
+        { username: args.username },
+        '_id deactivated'
+      )
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+      if (user.deactivated || user._id.toString() === loggedUser.id) {
+        throw new UserInputError('USER_DEACTIVATION_FAILED')
+      }
+
+      // Deactivate the user.
+      user.deactivated = new Date()
+
+      // Save the user into the database and revoke all his/her sessions
+      // and personal access tokens.
+      try {
+        await user.save()
+        await Session.deleteMany({ user: user._id })
+        await Token.deleteMany({ user: user._id })
+        return user
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+    // Delete the account of the connected user,
+    // after he/she confirmed it with his/her password, if any.
+    async deleteMyAccount(_parent, args, { models, user: loggedUser }, _info) {
+      const { User } = models
+
+      const user = await User.findOne({ _id: loggedUser.id })
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+      if (
+        user.password &&
+        !(args.password && user.authenticate(args.password))
+      ) {
+        throw new UserInputError('INVALID_CREDENTIALS')
+      }
+
+      return await deleteAccount(models, user)
+    },
+    // Delete the account of a user, as an admin.
+    async deleteUserAccount(
+      _parent,
+      args,
+      { models, user: loggedUser },
+      _info
+    ) {
+      const { User } = models
+
+      const user = await User.findOne({ username: args.username })
+      if (!user || user._id.toString() === loggedUser.id) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+
+      return await deleteAccount(models, user)
+    },
+    // Disable two-factor authentication for the connected user.
+    async disableTwoFactor(_parent, args, context, _info) {
+      const { models, user: loggedUser } = context
+
+      const user = await getTwoFactorUser(models, loggedUser)
+      if (!user.twoFactorEnabled) {
+        throw new UserInputError('TWO_FACTOR_NOT_ENABLED')
+      }
+      if (await isTwoFactorRequired(models, user)) {
+        throw new UserInputError('TWO_FACTOR_REQUIRED')
+      }
+      await checkTwoFactor(context, user, () => user.verifyTwoFactor(args.code))
+
+      // Disable two-factor authentication.
+      user.twoFactorCounter = undefined
+      user.twoFactorEnabled = undefined
+      user.twoFactorRecoveryCodes = undefined
+      user.twoFactorSecret = undefined
+
+      // Save the user into the database.
+      try {
+        await user.save()
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
     // Confirm this user, that is validate his/her email address.
     async editUser(_parent, args, { models, user: loggedUser }, _info) {
       const { User } = models
@@ -209,52 +810,459 @@ const resolvers = {
 
       return false
     },
-    async refreshToken(_parent, args, { env, models }, _info) {
+    // Start the enrollment of an authenticator for this user.
+    async enrollTwoFactor(_parent, args, { models, user: loggedUser }, _info) {
+      const user = await getTwoFactorUser(models, loggedUser, args.challenge)
+      if (user.twoFactorEnabled) {
+        throw new UserInputError('TWO_FACTOR_ALREADY_ENABLED')
+      }
+
+      // Generate a new secret, to be confirmed with a first code.
+      user.twoFactorSecret = generateSecret()
+
+      // Save the user into the database.
+      try {
+        await user.save()
+        return {
+          secret: user.twoFactorSecret,
+          uri: getOtpauthURI(user.twoFactorSecret, user.email || user.username),
+        }
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+    // Force a user to reset his/her password, as an admin,
+    // invalidating the current one and sending a password reset email.
+    async forcePasswordReset(
+      _parent,
+      args,
+      { env, models, smtpTransport },
+      _info
+    ) {
+      const { Session, Token, User } = models
+
+      const user = await User.findOne(
+        { username: args.username },
+        'email password provider resetPasswordToken resetPasswordTokenExpires username'
+      )
+      if (!user || user.provider !== 'local') {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+
+      // Invalidate the current password and reset it.
+      user.password = ''
+      user.resetPassword()
+
+      // Save the user into the database and revoke all his/her sessions
+      // and personal access tokens.
+      try {
+        await user.save()
+        await Session.deleteMany({ user: user._id })
+        await Token.deleteMany({ user: user._id })
+
+        // Send a password reset email to the user.
+        await sendPasswordResetEmail(env, smtpTransport, user)
+
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+    // Generate new recovery codes for the connected user,
+    // invalidating the previous ones.
+    async generateRecoveryCodes(_parent, args, context, _info) {
+      const { models, user: loggedUser } = context
+
+      const user = await getTwoFactorUser(models, loggedUser)
+      await checkTwoFactor(context, user, () => user.verifyTwoFactor(args.code))
+
+      const { codes, hashes } = generateRecoveryCodes()
+      user.twoFactorRecoveryCodes = hashes
+
+      // Save the user into the database.
+      try {
+        await user.save()
+        return codes
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+    // Grant a role to a user, as an admin.
+    async grantRole(_parent, args, { models }, _info) {
       const { User } = models
 
+      const user = await User.findOne({ username: args.username })
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+
+      const role = args.role.toLowerCase()
+      if (user.roles.includes(role)) {
+        throw new UserInputError('ROLE_ALREADY_GRANTED')
+      }
+      user.roles.push(role)
+
+      // Save the user into the database.
+      try {
+        return await user.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
+    // Merge a duplicate account into another one, as an admin,
+    // moving all the data of the source user to the target user
+    // before deleting the former.
+    async mergeUsers(_parent, args, { models, user: loggedUser }, _info) {
+      const {
+        Announcement,
+        Course,
+        Evaluation,
+        Instance,
+        Notification,
+        ProgressHistory,
+        Registration,
+        Session,
+        Template,
+        Token,
+        User,
+      } = models
+
+      // Retrieve the users to merge.
+      const source = await User.findOne({ username: args.source })
+      const target = await User.findOne({ username: args.target })
+      if (!source || !target) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+      if (
+        source._id.equals(target._id) ||
+        source._id.toString() === loggedUser.id
+      ) {
+        throw new UserInputError('USER_MERGE_FAILED')
+      }
+
+      // Every step can safely be run again, the source user being deleted
+      // last, so that a merge that failed halfway can simply be retried.
+      try {
+        // Move the registrations, keeping only one per course or program,
+        // a confirmed registration being preferred to an invitation.
+        const registrations = await Registration.find({ user: source._id })
+        for (const registration of registrations) {
+          const filter = { user: target._id }
+          if (registration.course) {
+            filter.course = registration.course
+          } else {
+            filter.program = registration.program
+          }
+
+          const existing = await Registration.findOne(filter)
+          if (existing && !(existing.invitation && !registration.invitation)) {
+            await registration.delete()
+            continue
+          }
+          if (existing) {
+            await existing.delete()
+          }
+
+          registration.user = target._id
+          await registration.save()
+        }
+
+        // Move the announcements, evaluations, instances,
+        // progress histories and templates.
+        for (const [model, field] of [
+          [Announcement, 'user'],
+          [Evaluation, 'evaluator'],
+          [Evaluation, 'user'],
+          [Instance, 'user'],
+          [Notification, 'user'],
+          [ProgressHistory, 'user'],
+          [Template, 'user'],
+        ]) {
+          await model.updateMany(
+            { [field]: source._id },
+            { [field]: target._id }
+          )
+        }
+
+        // Move the courses that the source user coordinates or teaches.
+        await Course.updateMany(
+          { coordinator: source._id },
+          { coordinator: target._id }
+        )
+        await Course.updateMany(
+          { teachers: source._id },
+          { $addToSet: { teachers: target._id } }
+        )
+        await Course.updateMany(
+          { teachers: source._id },
+          { $pull: { teachers: source._id } }
+        )
+        await Course.updateMany(
+          { 'staff.user': source._id },
+          { $set: { 'staff.$[member].user': target._id } },
+          { arrayFilters: [{ 'member.user': source._id }] }
+        )
+        await Course.updateMany(
+          { 'waivers.user': source._id },
+          { $set: { 'waivers.$[waiver].user': target._id } },
+          { arrayFilters: [{ 'waiver.user': source._id }] }
+        )
+
+        // Merge the roles and delete the source user.
+        target.roles = [...new Set([...target.roles, ...source.roles])]
+        await target.save()
+
+        await Session.deleteMany({ user: source._id })
+        await Token.deleteMany({ user: source._id })
+        await source.delete()
+
+        return target
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      throw new UserInputError('USER_MERGE_INCOMPLETE')
+    },
+    // Create user accounts in bulk from a CSV file, as an admin,
+    // and possibly register them to a course.
+    async provisionUsers(_parent, args, { env, models, smtpTransport }, _info) {
+      const { Course, Registration, User } = models
+
+      // Retrieve the course to register the new users to, if any.
+      let course = null
+      if (args.courseCode) {
+        course = await Course.exists({ code: args.courseCode })
+        if (!course) {
+          throw new UserInputError('COURSE_NOT_FOUND')
+        }
+      }
+
+      // Parse the CSV file, whose first line contains the column names.
+      let records
+      try {
+        records = parse(args.csv, {
+          columns: true,
+          info: true,
+          relax_column_count: true,
+          skip_empty_lines: true,
+          trim: true,
+        })
+      } catch (err) {
+        throw new UserInputError('INVALID_CSV')
+      }
+      if (records.length && !('email' in records[0].record)) {
+        throw new UserInputError('INVALID_CSV')
+      }
+
+      const rows = []
+      const seen = { emails: new Set(), usernames: new Set() }
+      for (const { info, record } of records) {
+        const roles = (record.roles ?? '')
+          .split(/[\s,;]+/)
+          .map((role) => role.toLowerCase())
+          .filter((role) => role)
+        const user = new User({
+          email: record.email,
+          firstName: record.firstName || undefined,
+          lastName: record.lastName || undefined,
+          provider: 'local',
+          roles: [...new Set(['user', ...roles])],
+          username: record.username || undefined,
+        })
+
+        // Check the user and stop there if invalid or for a dry run.
+        const row = {
+          email: user.email,
+          line: info.lines,
+          username: user.username,
+        }
+        row.errors = await checkProvisionedUser(models, user, seen)
+        if (row.errors.length || args.dryRun) {
+          rows.push({ ...row, status: row.errors.length ? 'invalid' : 'valid' })
+          continue
+        }
+
+        // Save the user into the database, with an activation token.
+        user.resetPassword(7 * 24 * 60)
+        try {
+          await user.save()
+
+          // Update any invitation that have been sent to this user
+          // and register him/her to the course, if any.
+          await attachInvitations(models, user)
+          if (
+            course &&
+            !(await Registration.exists({ course: course._id, user: user._id }))
+          ) {
+            await Registration.create({
+              course: course._id,
+              date: new Date(),
+              user: user._id,
+            })
+          }
+
+          // Send the activation link to the user.
+          await sendActivationEmail(env, smtpTransport, user)
+
+          rows.push({ ...row, status: 'created', username: user.username })
+        } catch (err) {
+          Bugsnag.notify(err)
+          rows.push({ ...row, errors: ['CREATION_FAILED'], status: 'invalid' })
+        }
+      }
+
+      return {
+        created: rows.filter((row) => row.status === 'created').length,
+        dryRun: !!args.dryRun,
+        rows,
+      }
+    },
+    // Reactivate the account of a user, as an admin.
+    async reactivateUser(_parent, args, { models }, _info) {
+      const { User } = models
+
+      const user = await User.findOne(
+        { username: args.username },
+        '_id deactivated'
+      )
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+      if (!user.deactivated) {
+        throw new UserInputError('USER_REACTIVATION_FAILED')
+      }
+
+      // Reactivate the user.
+      user.deactivated = undefined
+
+      // Save the user into the database.
+      try {
+        return await user.save()
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
+    async refreshToken(_parent, args, context, _info) {
+      const { env, models } = context
+      const { Session, User } = models
+
       // Check the refresh token validity.
-      const decoded = jwt.verify(args.token, env.JWT_REFRESH_TOKEN_SECRET)
-      if (!decoded) {
+      let decoded
+      try {
+        decoded = jwt.verify(args.token, env.JWT_REFRESH_TOKEN_SECRET)
+      } catch (err) {
+        throw new UserInputError('INVALID_REFRESH_TOKEN')
+      }
+
+      // Find the session the refresh token has been issued for.
+      const session = await Session.findOne({
+        _id: decoded.session,
+        user: decoded.id,
+      })
+      if (!session || DateTime.now() > DateTime.fromJSDate(session.expires)) {
         throw new UserInputError('INVALID_REFRESH_TOKEN')
       }
 
-      // Find a user with the given refresh token.
+      // A refresh token that has already been rotated is being reused,
+      // it may have been stolen so that the whole session is revoked.
+      if (session.tokenId !== decoded.jti) {
+        await session.delete()
+        throw new UserInputError('REFRESH_TOKEN_REUSED')
+      }
+
+      // Find the user the session belongs to.
       const user = await User.findOne(
         { _id: decoded.id },
-        '_id refreshToken refreshTokenExpires roles'
+        '_id deactivated roles'
       )
+      if (!user || user.deactivated) {
+        throw new UserInputError('INVALID_REFRESH_TOKEN')
+      }
+
+      // Rotate the access and the refresh tokens of the session,
+      // which fails if a concurrent request already rotated them.
+      let tokens
+      try {
+        tokens = await getTokens(user, context, session)
+      } catch (err) {
+        Bugsnag.notify(err)
+        return null
+      }
+      if (!tokens) {
+        throw new UserInputError('INVALID_REFRESH_TOKEN')
+      }
+
+      return tokens
+    },
+    // Request the change of the email address of the connected user,
+    // sending a confirmation link to the new address.
+    async requestEmailChange(
+      _parent,
+      args,
+      { env, models, smtpTransport, user: loggedUser },
+      _info
+    ) {
+      const { User } = models
+
+      // Retrieve the user whose email address has to be changed.
+      const user = await User.findOne(
+        { _id: loggedUser.id },
+        'email password salt username'
+      )
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
       if (
-        !user ||
-        user.refreshToken !== args.token ||
-        DateTime.now() > DateTime.fromISO(user.refreshTokenExpires)
+        user.password &&
+        !(args.password && user.authenticate(args.password))
       ) {
-        throw new UserInputError('INVALID_REFRESH_TOKEN')
+        throw new UserInputError('INVALID_CREDENTIALS')
       }
 
-      // Create the access and the refresh tokens.
-      const { refreshToken, token } = getTokens(user, env)
+      // Check the new email address.
+      const email = args.email.trim().toLowerCase()
+      if (!validator.isEmail(email, { require_tld: false })) {
+        throw new UserInputError('INVALID_EMAIL_ADDRESS')
+      }
+      if (email === user.email || (await User.exists({ email }))) {
+        throw new UserInputError('EXISTING_EMAIL_ADDRESS')
+      }
 
-      // Save the refresh token into the database.
+      // Register the new email address, waiting for its confirmation.
+      user.requestEmailChange(email)
+
+      // Save the user into the database.
       try {
         await user.save()
-        return {
-          refreshToken,
-          token,
-        }
+
+        // Send a confirmation email to the new email address.
+        await sendEmailChangeEmail(env, smtpTransport, user)
+
+        return true
       } catch (err) {
         Bugsnag.notify(err)
       }
 
-      return null
+      return false
     },
     // Reset this user's password.
     async resetPassword(_parent, args, { models }, _info) {
-      const { User } = models
+      const { Session, User } = models
 
       // Retrieve the user whose password must be updated.
       const user = await User.findOne(
         { username: args.username },
-        'resetPasswordToken resetPasswordTokenExpires'
+        'emailConfirmed resetPasswordToken resetPasswordTokenExpires'
       )
       if (
         !user ||
@@ -269,9 +1277,21 @@ const resolvers = {
       user.resetPasswordTokenExpires = undefined
       user.password = args.password
 
+      // The link received by email also confirms the email address,
+      // which activates the accounts created by admins.
+      if (!user.emailConfirmed) {
+        user.emailConfirmationToken = undefined
+        user.emailConfirmationTokenExpires = undefined
+        user.emailConfirmed = new Date()
+      }
+
       // Save the user into the database.
       try {
         await user.save()
+
+        // Revoke all the sessions opened with the previous password.
+        await Session.deleteMany({ user: user._id })
+
         return true
       } catch (err) {
         Bugsnag.notify(err)
@@ -279,11 +1299,41 @@ const resolvers = {
 
       return false
     },
+    // Revoke a role from a user, as an admin.
+    async revokeRole(_parent, args, { models, user: loggedUser }, _info) {
+      const { User } = models
+
+      const user = await User.findOne({ username: args.username })
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+
+      // Every user keeps the 'user' role
+      // and an admin cannot revoke his/her own admin role.
+      const role = args.role.toLowerCase()
+      if (
+        !user.roles.includes(role) ||
+        role === 'user' ||
+        (role === 'admin' && user._id.toString() === loggedUser.id)
+      ) {
+        throw new UserInputError('ROLE_REVOCATION_FAILED')
+      }
+      user.roles = user.roles.filter((r) => r !== role)
+
+      // Save the user into the database.
+      try {
+        return await user.save()
+      } catch (err) {
+        handleError(err)
+      }
+
+      return null
+    },
     // Send a confirmation email to this user.
     async sendConfirmationEmail(
       _parent,
       args,
-      { env, models, smtpTransport },
+      { client, env, models, smtpTransport },
       _info
     ) {
       const { User } = models
@@ -298,6 +1348,12 @@ const resolvers = {
         },
         'email emailConfirmationToken emailConfirmationTokenExpires username'
       )
+
+      // Limit the number of emails that can be requested.
+      const keys = getAttemptKeys(client, user?._id ?? args.usernameOrEmail)
+      await checkAttempts(models, 'email', keys)
+      await recordAttempt(models, 'email', keys)
+
       if (!user) {
         throw new UserInputError('USER_NOT_FOUND')
       }
@@ -325,7 +1381,7 @@ const resolvers = {
     async sendPasswordResetEmail(
       _parent,
       args,
-      { env, models, smtpTransport },
+      { client, env, models, smtpTransport },
       _info
     ) {
       const { User } = models
@@ -340,6 +1396,12 @@ const resolvers = {
         },
         'email resetPasswordToken resetPasswordTokenExpires username'
       )
+
+      // Limit the number of emails that can be requested.
+      const keys = getAttemptKeys(client, user?._id ?? args.usernameOrEmail)
+      await checkAttempts(models, 'email', keys)
+      await recordAttempt(models, 'email', keys)
+
       if (!user) {
         throw new UserInputError('USER_NOT_FOUND')
       }
@@ -360,59 +1422,166 @@ const resolvers = {
 
       return false
     },
-    async signIn(_parent, args, { env, models }, _info) {
+    async signIn(_parent, args, context, _info) {
+      const { client, env, models, smtpTransport } = context
       const { User } = models
 
       // Find a user who has either the specified email address
       // or the specified username.
-      const user = await User.findOne(
+      const account = await User.findOne(
         {
           $or: [
             { email: args.usernameOrEmail },
             { username: args.usernameOrEmail },
           ],
         },
-        '_id emailConfirmed password roles salt'
+        '_id email username'
+      )
+
+      // Refuse the attempt if the account or the client is locked.
+      const keys = getAttemptKeys(client, account?._id ?? args.usernameOrEmail)
+      await checkAttempts(models, 'signIn', keys)
+
+      // Check the credentials with the configured authentication backends.
+      const result = await authenticate(
+        context,
+        args.usernameOrEmail,
+        args.password
       )
-      if (!user?.authenticate(args.password)) {
+      if (!result) {
+        // Record the failed attempt and send an unlock link
+        // to the user if his/her account has just been locked.
+        const locked = await recordAttempt(models, 'signIn', keys)
+        const lock = locked.find((a) => a.key === keys[0])
+        if (lock && account?.email) {
+          try {
+            await sendUnlockEmail(env, smtpTransport, account, lock.unlockToken)
+          } catch (err) {
+            Bugsnag.notify(err)
+          }
+        }
+
         throw new UserInputError('INVALID_CREDENTIALS')
       }
+      const { isNew, user } = result
+
+      // Reset the failed attempts of the account.
+      await clearAttempts(models, 'signIn', keys.slice(0, 1))
       if (!user.emailConfirmed) {
         throw new UserInputError('UNCONFIRMED_EMAIL_ADDRESS')
       }
+      if (user.deactivated) {
+        throw new UserInputError('DEACTIVATED_ACCOUNT')
+      }
 
-      // Create the access and the refresh tokens.
-      const { refreshToken, token } = getTokens(user, env)
+      // Save the user if he/she has been created or updated by the backend.
+      if (isNew || user.isModified()) {
+        try {
+          await user.save()
 
-      // Save the refresh token into the database.
-      try {
-        await user.save()
-        return {
-          refreshToken,
-          token,
+          // Update any invitation that have been sent to this user.
+          if (isNew) {
+            await attachInvitations(models, user)
+          }
+        } catch (err) {
+          Bugsnag.notify(err)
+          return null
         }
+      }
+
+      // Challenge the second factor or open a new session.
+      try {
+        return await completeSignIn(user, context)
       } catch (err) {
         Bugsnag.notify(err)
       }
 
       return null
     },
-    async signOut(_parent, _args, { models, user }, _info) {
+    // Sign in with the OpenID Connect identity provider,
+    // linking or creating the user from his/her email address.
+    async signInWithOpenID(_parent, args, context, _info) {
+      const { env, models } = context
       const { User } = models
 
-      // Find the connected user.
-      const loggedUser = await User.findOne(
-        { _id: user.id },
-        '_id refreshToken refreshTokenExpires'
+      // Exchange the authorization code against the identity of the user.
+      let profile
+      try {
+        profile = await getOpenIDProfile(env, args)
+      } catch (err) {
+        throw new UserInputError('INVALID_AUTHORIZATION_CODE')
+      }
+      if (!profile) {
+        throw new UserInputError('OPENID_NOT_CONFIGURED')
+      }
+      if (!profile.email || profile.email_verified !== true) {
+        throw new UserInputError('UNVERIFIED_EMAIL_ADDRESS')
+      }
+
+      const providerData = { issuer: profile.issuer, sub: profile.sub }
+
+      // Find the user who is already linked to this identity.
+      let user = await User.findOne(
+        {
+          $or: [
+            {
+              provider: 'openid',
+              'providerData.issuer': providerData.issuer,
+              'providerData.sub': providerData.sub,
+            },
+            {
+              'additionalProvidersData.openid.issuer': providerData.issuer,
+              'additionalProvidersData.openid.sub': providerData.sub,
+            },
+          ],
+        },
+        '_id deactivated roles twoFactorEnabled'
       )
+      if (user?.deactivated) {
+        throw new UserInputError('DEACTIVATED_ACCOUNT')
+      }
+
+      // Never link the identity to another account with the same email address,
+      // since the identity provider cannot prove its ownership.
+      if (
+        !user &&
+        (await User.exists({ email: profile.email.toLowerCase() }))
+      ) {
+        throw new UserInputError('OPENID_ACCOUNT_EXISTS')
+      }
+
+      // Create a new user for this identity, if needed,
+      // and challenge the second factor or open a new session.
+      try {
+        if (!user) {
+          user = await new User({
+            email: profile.email,
+            emailConfirmed: new Date(),
+            firstName: profile.given_name,
+            lastName: profile.family_name,
+            provider: 'openid',
+            providerData,
+          }).save()
+
+          // Update any invitation that have been sent to this user.
+          await attachInvitations(models, user)
+        }
+
+        return await completeSignIn(user, context)
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
 
-      // Remove his/her refresh token.
-      loggedUser.refreshToken = undefined
-      loggedUser.refreshTokenExpires = undefined
+      return null
+    },
+    async signOut(_parent, _args, { models, user }, _info) {
+      const { Session } = models
 
-      // Save the refresh token into the database.
+      // Revoke the session of the connected user.
       try {
-        await loggedUser.save()
+        if (user.session) {
+          await Session.deleteOne({ _id: user.session, user: user.id })
+        }
         return true
       } catch (err) {
         Bugsnag.notify(err)
@@ -421,7 +1590,7 @@ const resolvers = {
       return false
     },
     async signUp(_parent, args, { env, models, smtpTransport }, _info) {
-      const { Registration, User } = models
+      const { User } = models
 
       // Create the user Mongoose object.
       const user = new User(args)
@@ -437,15 +1606,7 @@ const resolvers = {
         await sendConfirmationEmail(env, smtpTransport, user)
 
         // Update any invitation that have been sent to this user.
-        const registrations = await Registration.find({ email: args.email })
-        await Promise.all(
-          registrations.map(async (registration) => {
-            registration.email = undefined
-            registration.user = user._id
-
-            await registration.save()
-          })
-        )
+        await attachInvitations(models, user)
 
         return true
       } catch (err) {
@@ -475,6 +1636,71 @@ const resolvers = {
 
       return false
     },
+    // Unlock the account of a user, with the token received by email.
+    async unlockAccount(_parent, args, { models }, _info) {
+      const { Attempt, User } = models
+
+      // Retrieve the lock of the user.
+      const user = await User.exists({ username: args.username })
+      const keys = user ? getAttemptKeys(null, user._id) : []
+      if (
+        !user ||
+        !(await Attempt.exists({ key: keys[0], unlockToken: args.token }))
+      ) {
+        throw new UserInputError('INVALID_UNLOCK_TOKEN')
+      }
+
+      // Clear all the attempts of the account.
+      try {
+        await clearAttempts(models, null, keys)
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+    // Unlock the account of a user, as an admin.
+    async unlockUser(_parent, args, { models }, _info) {
+      const { User } = models
+
+      const user = await User.exists({ username: args.username })
+      if (!user) {
+        throw new UserInputError('USER_NOT_FOUND')
+      }
+
+      // Clear all the attempts of the account.
+      try {
+        await clearAttempts(models, null, getAttemptKeys(null, user._id))
+        return true
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return false
+    },
+    // Complete a sign in by verifying the second factor of the challenged user.
+    async verifyTwoFactor(_parent, args, context, _info) {
+      const { models } = context
+
+      const user = await getTwoFactorUser(models, null, args.challenge)
+      await checkTwoFactor(context, user, () => user.verifyTwoFactor(args.code))
+
+      // Close the challenge.
+      user.twoFactorChallengeToken = undefined
+      user.twoFactorChallengeTokenExpires = undefined
+
+      // Save the user into the database
+      // and open a new session with the access and the refresh tokens.
+      try {
+        await user.save()
+        return await getTokens(user, context)
+      } catch (err) {
+        Bugsnag.notify(err)
+      }
+
+      return null
+    },
   },
 }
 
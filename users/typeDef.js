@@ -1,33 +1,122 @@
 import { gql } from 'apollo-server'
 
 const typeDefs = gql`
+  enum TwoFactorStep {
+    ENROLL
+    VERIFY
+  }
+
+  enum ProvisioningStatus {
+    CREATED
+    INVALID
+    VALID
+  }
+
+  enum UserSort {
+    CREATED
+    NAME
+    USERNAME
+  }
+
+  type FacetCount {
+    count: Int!
+    value: String!
+  }
+
+  type ProvisioningReport {
+    created: Int!
+    dryRun: Boolean!
+    rows: [ProvisioningRow!]!
+  }
+
+  type ProvisioningRow {
+    email: String
+    errors: [String!]
+    line: Int!
+    status: ProvisioningStatus!
+    username: ID
+  }
+
   type SignInResponse {
-    refreshToken: String!
-    token: String!
+    challenge: String
+    refreshToken: String
+    token: String
+    twoFactor: TwoFactorStep
+  }
+
+  type TwoFactorEnrollment {
+    secret: String!
+    uri: String!
   }
 
   type User {
+    deactivated: DateTime @auth(requires: ADMIN)
     displayName: String!
-    email: String!
+    email: String
     firstName: String
+    hasTwoFactor: Boolean @auth
     id: ID!
     isConfirmed: Boolean
+    isDeactivated: Boolean @auth(requires: ADMIN)
     lastName: String
+    profileImage: ProfileImage
     roles: [String!]!
     username: ID!
   }
 
+  type UserFacets {
+    confirmed: [FacetCount!]!
+    roles: [FacetCount!]!
+  }
+
+  type UserSearchResult {
+    facets: UserFacets!
+    total: Int!
+    users: [User!]!
+  }
+
   extend type Query {
     colleagues: [User!]! @auth(requires: TEACHER)
+    exportMyData: JSONObject @auth
+    exportUserData(username: ID!): JSONObject @auth(requires: ADMIN)
     me: User
+    searchUsers(
+      confirmed: Boolean
+      courseCode: ID
+      limit: Int
+      offset: Int
+      programCode: ID
+      query: String
+      roles: [Role!]
+      sort: UserSort
+    ): UserSearchResult! @auth(requires: [ADMIN, TEACHER])
     user(username: ID!): User @auth
     users(offset: Int, limit: Int): [User!]! @auth(requires: ADMIN)
   }
 
   extend type Mutation {
     confirmAccount(username: String!, emailConfirmationToken: String!): Boolean!
+    confirmEmailChange(token: String!, username: String!): Boolean!
+    confirmTwoFactor(challenge: String, code: String!): [String!]
+    deactivateUser(username: ID!): User @auth(requires: ADMIN)
+    deleteMyAccount(password: String): Boolean @auth(impersonable: false)
+    deleteUserAccount(username: ID!): Boolean @auth(requires: ADMIN)
+    disableTwoFactor(code: String!): Boolean @auth(impersonable: false)
     editUser(firstName: String, lastName: String, username: ID): User @auth
+    enrollTwoFactor(challenge: String): TwoFactorEnrollment
+    forcePasswordReset(username: ID!): Boolean @auth(requires: ADMIN)
+    generateRecoveryCodes(code: String!): [String!] @auth(impersonable: false)
+    grantRole(role: Role!, username: ID!): User @auth(requires: ADMIN)
+    mergeUsers(source: ID!, target: ID!): User @auth(requires: ADMIN)
+    provisionUsers(
+      courseCode: ID
+      csv: String!
+      dryRun: Boolean
+    ): ProvisioningReport @auth(requires: ADMIN)
+    reactivateUser(username: ID!): User @auth(requires: ADMIN)
     refreshToken(token: String!): SignInResponse!
+    requestEmailChange(email: String!, password: String): Boolean
+      @auth(impersonable: false)
     sendConfirmationEmail(usernameOrEmail: String!): Boolean!
     sendPasswordResetEmail(usernameOrEmail: String!): Boolean!
     resetPassword(
@@ -35,9 +124,19 @@ const typeDefs = gql`
       token: String!
       username: String!
     ): Boolean!
+    revokeRole(role: Role!, username: ID!): User @auth(requires: ADMIN)
     signIn(usernameOrEmail: String!, password: String!): SignInResponse!
+    signInWithOpenID(
+      code: String!
+      codeVerifier: String
+      nonce: String
+      redirectURI: String
+    ): SignInResponse!
     signOut: Boolean @auth
     signUp(email: String!, password: String!): Boolean
+    unlockAccount(token: String!, username: String!): Boolean!
+    unlockUser(username: ID!): Boolean @auth(requires: ADMIN)
+    verifyTwoFactor(challenge: String!, code: String!): SignInResponse!
   }
 `
 
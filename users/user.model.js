@@ -3,6 +3,7 @@ import crypto from 'crypto'
 import mongoose from 'mongoose'
 import validator from 'validator'
 
+import { hashRecoveryCode, verifyCode } from '../lib/totp.js'
 import { generateToken } from '../lib/utils.js'
 
 const { model, Schema } = mongoose
@@ -37,10 +38,19 @@ const validateUsername = function (username) {
 
 const UserSchema = new Schema(
   {
+    additionalProvidersData: {
+      type: Object,
+    },
     created: {
       type: Date,
       default: Date.now,
     },
+    deactivated: {
+      type: Date,
+    },
+    deleted: {
+      type: Date,
+    },
     email: {
       type: String,
       index: {
@@ -72,10 +82,27 @@ const UserSchema = new Schema(
       type: String,
       trim: true,
     },
+    notificationPreferences: {
+      type: Object,
+    },
     password: {
       type: String,
       default: '',
     },
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    pendingEmailToken: {
+      type: String,
+    },
+    pendingEmailTokenExpires: {
+      type: String,
+    },
+    profileImage: {
+      type: String,
+    },
     profileImageURL: {
       type: String,
       default: '/modules/users/client/img/profile/default.png',
@@ -84,11 +111,8 @@ const UserSchema = new Schema(
       type: String,
       required: 'Provider is required',
     },
-    refreshToken: {
-      type: String,
-    },
-    refreshTokenExpires: {
-      type: Date,
+    providerData: {
+      type: Object,
     },
     resetPasswordToken: {
       type: String,
@@ -109,6 +133,25 @@ const UserSchema = new Schema(
     salt: {
       type: String,
     },
+    twoFactorChallengeToken: {
+      type: String,
+    },
+    twoFactorChallengeTokenExpires: {
+      type: Date,
+    },
+    twoFactorCounter: {
+      type: Number,
+    },
+    twoFactorEnabled: {
+      type: Date,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: undefined,
+    },
+    twoFactorSecret: {
+      type: String,
+    },
     updated: {
       type: Date,
     },
@@ -172,6 +215,15 @@ UserSchema.methods.hashPassword = function (password) {
     .toString('base64')
 }
 
+// Register a new email address for this user, waiting for its confirmation.
+UserSchema.methods.requestEmailChange = function (email) {
+  this.pendingEmail = email
+
+  const token = generateToken()
+  this.pendingEmailToken = token.token
+  this.pendingEmailTokenExpires = token.expires
+}
+
 // Update the email address and invalidate the account of this user.
 UserSchema.methods.updateEmail = function (email) {
   this.email = email
@@ -182,9 +234,41 @@ UserSchema.methods.updateEmail = function (email) {
   this.emailConfirmationTokenExpires = token.expires
 }
 
-// Reset the password.
-UserSchema.methods.resetPassword = function () {
-  const token = generateToken()
+// Check a one-time code from the authenticator of this user
+// or consume one of his/her recovery codes.
+UserSchema.methods.verifyTwoFactor = function (code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret || !code) {
+    return false
+  }
+
+  // Check the code against the secret, rejecting already used ones.
+  const counter = verifyCode(this.twoFactorSecret, code)
+  if (counter !== null) {
+    if (
+      this.twoFactorCounter !== undefined &&
+      counter <= this.twoFactorCounter
+    ) {
+      return false
+    }
+
+    this.twoFactorCounter = counter
+    return true
+  }
+
+  // Check whether the code is one of the recovery codes.
+  const hash = hashRecoveryCode(code)
+  const i = this.twoFactorRecoveryCodes?.indexOf(hash) ?? -1
+  if (i !== -1) {
+    this.twoFactorRecoveryCodes.splice(i, 1)
+    return true
+  }
+
+  return false
+}
+
+// Reset the password, with a token valid for the specified minutes.
+UserSchema.methods.resetPassword = function (expiresIn) {
+  const token = generateToken(expiresIn)
   this.resetPasswordToken = token.token
   this.resetPasswordTokenExpires = token.expires
 }